@@ -0,0 +1,338 @@
+/**
+ * Agent 模式：模型按 ReAct（思考 → 行动 → 观察）循环多次调用检索工具，适合需要综合多个文档的多跳问题
+ *
+ * 工具：
+ * - vector_search：向量检索
+ * - keyword_search：BM25 关键词检索（适合错误码、专有名词）
+ * - list_sources：列出知识库中的文档及块数
+ * - read_document：按 source 读取整个文档
+ *
+ * 工具返回的 chunk 统一编号（与普通 RAG 相同的 [n] 格式），最终回答只能引用这些编号；
+ * 达到 agent.maxSteps 仍未给出回答时，按已收集的资料直接生成回答。
+ * 使用纯文本格式而非 tool calling，兼容不支持工具调用的本地模型与 OpenAI 兼容服务。
+ */
+
+import { HumanMessage, SystemMessage } from "@langchain/core/messages";
+import { createVectorStoreFilter, listDocuments } from "./buildVectorStore.js";
+import { labelDocuments } from "./citations.js";
+import { config } from "./config.js";
+import { span, traceEvent } from "./logger.js";
+import { toPredicate } from "./filters.js";
+import { createChatModel, stripThink } from "./models.js";
+import { BM25Index } from "./retrievers.js";
+
+// 观察结果中每个 chunk 最多展示的字符数（read_document 另按 maxDocumentChars 截断）
+const OBSERVATION_CHUNK_CHARS = 600;
+const LIST_SOURCES_LIMIT = 50;
+
+export function resolveAgentOptions(options = {}) {
+  return {
+    maxSteps: Math.max(1, Number(options.agent?.maxSteps ?? config.agent.maxSteps)),
+    topK: Math.max(1, Number(options.agent?.topK ?? config.agent.topK)),
+    maxDocumentChars: Math.max(500, Number(options.agent?.maxDocumentChars ?? config.agent.maxDocumentChars)),
+  };
+}
+
+function truncate(text, max) {
+  const value = String(text ?? "").trim();
+  return value.length > max ? `${value.slice(0, max)}...` : value;
+}
+
+/**
+ * 本轮已收集的资料：按首次出现的顺序编号，同一个 chunk 只编号一次
+ */
+function createEvidence() {
+  const documents = [];
+  const indexByKey = new Map();
+
+  const keyOf = (doc) => doc.id ?? doc.metadata?.pk ?? `${doc.metadata?.source}\u0000${doc.pageContent}`;
+
+  return {
+    documents,
+    /**
+     * 收录一批 chunk，返回各自的编号
+     */
+    add(docs) {
+      return docs.map((doc) => {
+        const key = keyOf(doc);
+        if (!indexByKey.has(key)) {
+          documents.push(doc);
+          indexByKey.set(key, documents.length);
+        }
+        return indexByKey.get(key);
+      });
+    },
+    labelled() {
+      return labelDocuments(documents);
+    },
+  };
+}
+
+function formatChunks(docs, indexes, maxChars) {
+  if (docs.length === 0) return "没有找到相关内容。";
+  return docs
+    .map((doc, i) => `[${indexes[i]}] 来源：${doc.metadata?.source ?? "未知来源"}\n${truncate(doc.pageContent, maxChars)}`)
+    .join("\n\n");
+}
+
+/**
+ * 创建 agent 可用的工具；每个工具 run(input, { filter, evidence }) 返回 { observation, citations }
+ */
+export function createAgentTools(vectorStore, options = {}) {
+  const { topK, maxDocumentChars } = resolveAgentOptions(options);
+  // 全量 chunk 与 BM25 索引首次使用时构建，sync / rebuild 后 Graph 重建时一并更新
+  let documentsPromise = null;
+  let indexPromise = null;
+  const allDocuments = () => (documentsPromise ??= listDocuments(vectorStore));
+  const keywordIndex = () => (indexPromise ??= allDocuments().then((docs) => new BM25Index(docs)));
+
+  const inScope = async (filter) => {
+    const predicate = toPredicate(filter);
+    const docs = await allDocuments();
+    return predicate ? docs.filter(predicate) : docs;
+  };
+
+  const search = (fetch) => async (input, { filter, evidence }) => {
+    if (!input) return { observation: "输入不能为空，请提供检索内容。", citations: [] };
+    const docs = await fetch(input, filter);
+    const citations = evidence.add(docs);
+    return { observation: formatChunks(docs, citations, OBSERVATION_CHUNK_CHARS), citations };
+  };
+
+  return {
+    vector_search: {
+      description: "按语义相似度检索知识库，输入为检索问题或关键句。",
+      run: search((input, filter) =>
+        vectorStore.similaritySearch(input, topK, createVectorStoreFilter(vectorStore, filter))
+      ),
+    },
+    keyword_search: {
+      description: "按关键词（BM25）检索知识库，适合错误码、型号、专有名词等精确匹配，输入为若干关键词。",
+      run: search(async (input, filter) =>
+        (await keywordIndex()).search(input, topK, toPredicate(filter)).map(({ document }) => document)
+      ),
+    },
+    list_sources: {
+      description: "列出知识库中的文档（source）及其块数，输入留空。",
+      async run(_input, { filter }) {
+        const counts = new Map();
+        (await inScope(filter)).forEach((doc) => {
+          const source = doc.metadata?.source ?? "未知来源";
+          counts.set(source, (counts.get(source) ?? 0) + 1);
+        });
+        if (counts.size === 0) return { observation: "知识库为空。", citations: [] };
+        const lines = [...counts].slice(0, LIST_SOURCES_LIMIT).map(([source, n]) => `- ${source}（${n} 个块）`);
+        if (counts.size > LIST_SOURCES_LIMIT) lines.push(`... 共 ${counts.size} 个文档`);
+        return { observation: lines.join("\n"), citations: [] };
+      },
+    },
+    read_document: {
+      description: "按 source 读取整个文档的全部块，输入为 list_sources 或检索结果中的 source。",
+      async run(input, { filter, evidence }) {
+        const source = input.replace(/^["'“「]|["'”」]$/g, "").trim();
+        const docs = (await inScope(filter)).filter((doc) => doc.metadata?.source === source);
+        if (docs.length === 0) {
+          return { observation: `没有找到 source 为 "${source}" 的文档，可先调用 list_sources 查看。`, citations: [] };
+        }
+
+        // 按写入顺序（即文档内的先后顺序）依次展示，超出 maxDocumentChars 的部分不再收录
+        const shown = [];
+        let used = 0;
+        for (const doc of docs) {
+          if (shown.length > 0 && used + doc.pageContent.length > maxDocumentChars) break;
+          shown.push(doc);
+          used += doc.pageContent.length;
+        }
+        const citations = evidence.add(shown);
+        const rest = docs.length - shown.length;
+        const note = rest > 0 ? `\n\n（文档过长，省略后面 ${rest} 个块，可用检索工具查找具体内容）` : "";
+        return { observation: `${formatChunks(shown, citations, maxDocumentChars)}${note}`, citations };
+      },
+    },
+  };
+}
+
+function buildSystemPrompt(tools) {
+  const toolLines = Object.entries(tools).map(([name, tool]) => `- ${name}：${tool.description}`);
+  return [
+    "你是一个基于知识库回答问题的助手，可以多次调用工具收集资料，问题涉及多个文档时分别检索。",
+    "可用工具：",
+    ...toolLines,
+    "",
+    "每一步严格按以下格式输出，然后停止，等待观察结果：",
+    "思考：下一步要做什么以及原因",
+    "行动：工具名",
+    "输入：工具输入",
+    "",
+    "资料足够时输出：",
+    "思考：为什么资料已经足够",
+    "最终回答：中文回答，只能使用观察结果中的信息，在句末用片段编号标注来源，例如 [1] 或 [1][3]。",
+    "资料中没有答案时，最终回答说明知识库中没有相关信息，不要编造。",
+  ].join("\n");
+}
+
+const LABELS = {
+  thought: "(?:思考|Thought)",
+  action: "(?:行动|Action)",
+  input: "(?:输入|Action Input)",
+  final: "(?:最终回答|Final Answer)",
+  observation: "(?:观察|Observation)",
+};
+
+function matchField(text, label, until) {
+  const match = text.match(new RegExp(`${label}\\s*[:：]\\s*([\\s\\S]*?)(?=\\n\\s*${until}\\s*[:：]|$)`));
+  return match ? match[1].trim() : "";
+}
+
+/**
+ * 解析一步输出：{ thought, action, input } 或 { thought, final }；格式不符时两者都为空
+ */
+export function parseAgentStep(output) {
+  // 模型有时会自己编造观察结果，从第一个“观察：”起全部丢弃
+  const text = stripThink(output).split(new RegExp(`\\n\\s*${LABELS.observation}\\s*[:：]`))[0].trim();
+  const anyLabel = `(?:${Object.values(LABELS).join("|")})`;
+  const thought = matchField(text, LABELS.thought, anyLabel);
+  const final = matchField(text, LABELS.final, LABELS.observation);
+  if (final) return { thought, final };
+
+  const action = matchField(text, LABELS.action, anyLabel).split(/\s/)[0] ?? "";
+  const input = matchField(text, LABELS.input, anyLabel);
+  return { thought: thought || (action ? "" : text), action, input };
+}
+
+function formatScratchpad(trace) {
+  return trace
+    .map((t) =>
+      t.action
+        ? `思考：${t.thought}\n行动：${t.action}\n输入：${t.input}\n观察：${t.observation}`
+        : `思考：${t.thought}\n观察：${t.observation}`
+    )
+    .join("\n\n");
+}
+
+/**
+ * 执行一次 agent 问答
+ *
+ * @param {Object} params - { vectorStore, question（检索用的独立问题）, history, filter, options, tools?, onToken, onStep }
+ * @returns {Promise<{ answer, context, trace: Array<{ step, thought, action, input, observation, citations, error }> }>}
+ */
+export async function runAgent({ vectorStore, question, history = [], filter = null, options = {}, ...rest }) {
+  const { maxSteps } = resolveAgentOptions(options);
+  const tools = rest.tools ?? createAgentTools(vectorStore, options);
+  // 推理步骤需要确定性输出；最终回答沿用主模型的 temperature
+  const stepModel = createChatModel({ ...options, temperature: 0 });
+  const evidence = createEvidence();
+  const trace = [];
+  const system = new SystemMessage(buildSystemPrompt(tools));
+
+  const record = async (entry) => {
+    const step = { step: trace.length + 1, thought: "", action: null, input: "", citations: [], error: false, ...entry };
+    trace.push(step);
+    traceEvent("agent.step", {
+      step: step.step,
+      action: step.action,
+      input: step.input,
+      citations: step.citations,
+      error: step.error,
+    });
+    await rest.onStep?.(step);
+  };
+
+  const callTool = async (thought, action, input) => {
+    try {
+      const { observation, citations } = await span(`agent.${action}`, () =>
+        tools[action].run(input, { filter, evidence })
+      );
+      await record({ thought, action, input, observation, citations });
+    } catch (err) {
+      await record({ thought, action, input, observation: `工具调用失败：${err?.message ?? err}`, error: true });
+    }
+  };
+
+  while (trace.length < maxSteps) {
+    const scratchpad = formatScratchpad(trace);
+    const res = await stepModel.invoke(
+      [
+        system,
+        ...history,
+        new HumanMessage(`问题：${question}${scratchpad ? `\n\n${scratchpad}` : ""}\n\n请输出下一步：`),
+      ],
+      { stop: ["\n观察：", "\nObservation:"] }
+    );
+    const step = parseAgentStep(res?.content);
+
+    if (step.final !== undefined) {
+      // 没有收集任何资料就给出的回答没有依据，继续交给下面的兜底流程
+      if (evidence.documents.length > 0) {
+        await record({ thought: step.thought, action: "final_answer", observation: "" });
+        await rest.onToken?.(step.final);
+        return { answer: step.final, context: evidence.labelled(), trace };
+      }
+      await record({ thought: step.thought, observation: "还没有收集任何资料，请先调用工具检索。", error: true });
+      continue;
+    }
+
+    if (!tools[step.action]) {
+      const observation = step.action
+        ? `未知工具 "${step.action}"，可用工具：${Object.keys(tools).join(", ")}。`
+        : "输出格式不正确，请按“思考 / 行动 / 输入”或“思考 / 最终回答”的格式输出。";
+      await record({ thought: step.thought, action: step.action || null, input: step.input, observation, error: true });
+      continue;
+    }
+    await callTool(step.thought, step.action, step.input);
+  }
+
+  // 达到步数上限：没有资料时先按问题检索一次，再根据已收集的资料直接回答
+  if (evidence.documents.length === 0) {
+    await callTool("达到步数上限且尚未收集资料，按问题直接检索", "vector_search", question);
+  }
+  await record({ thought: `达到步数上限（${maxSteps}），根据已收集的资料回答`, action: "final_answer", observation: "" });
+  const answer = await answerFromEvidence({ question, history, evidence, options, onToken: rest.onToken });
+  return { answer, context: evidence.labelled(), trace };
+}
+
+async function answerFromEvidence({ question, history, evidence, options, onToken }) {
+  const model = createChatModel({ ...options, streaming: typeof onToken === "function" });
+  const context = evidence
+    .labelled()
+    .map((doc) => `[${doc.metadata.citationIndex}] 来源：${doc.metadata.citationLabel}\n${doc.pageContent}`)
+    .join("\n\n");
+  const messages = [
+    new SystemMessage(
+      [
+        "你是一个基于给定上下文回答问题的助手。",
+        "只能使用上下文中的信息回答；上下文中没有答案时说明知识库中没有相关信息。",
+        "上下文中每个片段以 [编号] 开头；引用某个片段的内容时，在句末用对应编号标注来源，例如 [1] 或 [1][2]。",
+        "回答请使用中文。",
+      ].join("\n")
+    ),
+    ...history,
+    new HumanMessage(`问题：${question}\n\n上下文：\n${context}`),
+  ];
+
+  if (typeof onToken !== "function") {
+    const res = await model.invoke(messages);
+    return String(res?.content ?? "");
+  }
+  let answer = "";
+  for await (const chunk of await model.stream(messages)) {
+    const token = typeof chunk?.content === "string" ? chunk.content : "";
+    if (!token) continue;
+    answer += token;
+    await onToken(token);
+  }
+  return answer;
+}
+
+/**
+ * CLI 输出用的一行步骤说明
+ */
+export function formatAgentStep(step) {
+  const thought = step.thought ? `💭 ${truncate(step.thought, 200)}` : "";
+  if (step.action === "final_answer") return `  ${step.step}. ${thought || "💭 给出最终回答"}`;
+  const action = step.action ? ` → ${step.action}(${truncate(step.input, 80)})` : "";
+  const found = step.citations.length > 0 ? `，资料 ${step.citations.map((n) => `[${n}]`).join("")}` : "";
+  // 格式错误、未知工具、工具失败的步骤附上提示
+  const note = step.error ? ` ⚠️ ${truncate(step.observation, 80)}` : "";
+  return `  ${step.step}. ${thought}${action}${found}${note}`;
+}
@@ -0,0 +1,173 @@
+/**
+ * 语义回答缓存：按问题的 embedding 查找相似的历史问题，相似度不低于 answerCache.similarityThreshold 时直接返回缓存的回答与上下文
+ *
+ * - 存储复用会话记忆存储（memory.store：Redis / JSON 文件 / 内存），每个知识库一个 key：`${answerCache.keyPrefix}<知识库>`
+ * - 缓存带有签名：模型、topK 与 manifest（每个文件的内容哈希与向量主键）的指纹。
+ *   重建向量库或文档变化后 manifest 随之改变，旧缓存自动失效，下次写入时整体替换；
+ *   签名按 manifest 文件的修改时间缓存在进程内，sync 改写 manifest 之前不重新读取与计算
+ * - 同一知识库的写入（读取-追加-写回）与清空在进程内串行执行，并发问答不会互相覆盖
+ * - 过滤条件不同的问题互不命中
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+
+import { Document } from "@langchain/core/documents";
+import { loadManifest, resolveManifestPath } from "./ingest.js";
+import { formatFilter } from "./filters.js";
+import { getMemoryStore } from "./memoryStore.js";
+import { DEFAULT_KNOWLEDGE_BASE } from "./knowledgeBases.js";
+import { describeModel } from "./models.js";
+import { config } from "./config.js";
+
+// 签名缓存：manifest 路径与参数指纹 -> { version, signature }
+const signatures = new Map();
+// 每个缓存 key 的写入队列，写入与清空依次执行
+const writeQueues = new Map();
+
+export function isAnswerCacheEnabled(options = {}) {
+  return options.answerCache?.enabled ?? config.answerCache.enabled;
+}
+
+function cacheKey(options = {}) {
+  return `${config.answerCache.keyPrefix}${options.knowledgeBase ?? DEFAULT_KNOWLEDGE_BASE}`;
+}
+
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// manifest 文件的版本：修改时间与大小，不存在时为 null
+async function manifestVersion(manifestPath) {
+  try {
+    const stat = await fs.stat(manifestPath);
+    return `${stat.mtimeMs}:${stat.size}`;
+  } catch (err) {
+    if (err?.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * 缓存签名：模型 / topK / 切分参数与 manifest 指纹，任何一项变化都使缓存失效
+ * manifest 未改写（修改时间不变）时直接返回上次计算的结果
+ */
+export async function answerCacheSignature(options = {}) {
+  const params = JSON.stringify({
+    embeddingModel: describeModel("embedding", options),
+    chatModel: describeModel("chat", options),
+    topK: options.topK ?? config.retrieval.topK,
+    chunkSize: options.chunkSize ?? config.documents.chunkSize,
+    chunkOverlap: options.chunkOverlap ?? config.documents.chunkOverlap,
+  });
+  const manifestPath = resolveManifestPath(options);
+  const memoKey = `${manifestPath}\n${params}`;
+  const version = await manifestVersion(manifestPath);
+  const cached = signatures.get(memoKey);
+  if (cached && cached.version === version) return cached.signature;
+
+  const manifest = await loadManifest(options);
+  const files = Object.entries(manifest?.files ?? {})
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([source, entry]) => [source, entry.hash, (entry.ids ?? []).join(",")]);
+  const payload = JSON.stringify({ store: manifest?.store ?? null, files, params });
+  const signature = crypto.createHash("sha256").update(payload).digest("hex");
+  signatures.set(memoKey, { version, signature });
+  return signature;
+}
+
+/**
+ * 按缓存 key 串行执行 fn（与 server.js 的 sync 锁相同的 Promise 链）
+ */
+function withWriteLock(key, fn) {
+  const run = (writeQueues.get(key) ?? Promise.resolve()).then(fn);
+  const queued = run.catch(() => undefined);
+  writeQueues.set(key, queued);
+  queued.then(() => {
+    if (writeQueues.get(key) === queued) writeQueues.delete(key);
+  });
+  return run;
+}
+
+async function readEntries(signature, options = {}) {
+  const store = await getMemoryStore();
+  const raw = await store.get(cacheKey(options));
+  if (!raw) return [];
+  const parsed = JSON.parse(raw);
+  return parsed?.signature === signature && Array.isArray(parsed.entries) ? parsed.entries : [];
+}
+
+/**
+ * 查找与问题最相似的缓存
+ * @param {number[]} embedding - 问题（改写后的独立问题）的 embedding
+ * @param {Object} options - { signature, filter, knowledgeBase, answerCache }
+ * @returns {Promise<{question, answer, context: Document[], similarity}|null>}
+ */
+export async function lookupCachedAnswer(embedding, options = {}) {
+  const threshold = Number(options.answerCache?.similarityThreshold ?? config.answerCache.similarityThreshold);
+  const filter = formatFilter(options.filter ?? null);
+  const entries = await readEntries(options.signature, options);
+
+  let best = null;
+  for (const entry of entries) {
+    if (entry.filter !== filter) continue;
+    const similarity = cosineSimilarity(embedding, entry.embedding);
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { entry, similarity };
+    }
+  }
+  if (!best) return null;
+
+  return {
+    question: best.entry.question,
+    answer: best.entry.answer,
+    context: best.entry.context.map((doc) => new Document({ pageContent: doc.pageContent, metadata: doc.metadata })),
+    similarity: best.similarity,
+  };
+}
+
+/**
+ * 写入一条缓存；签名变化时丢弃旧缓存，超过 answerCache.maxEntries 时淘汰最早的条目
+ */
+export async function saveCachedAnswer({ question, embedding, answer, context }, options = {}) {
+  const maxEntries = Math.max(1, Number(options.answerCache?.maxEntries ?? config.answerCache.maxEntries));
+  const entry = {
+    question,
+    embedding,
+    filter: formatFilter(options.filter ?? null),
+    answer,
+    context: (context ?? []).map((doc) => ({ pageContent: doc.pageContent, metadata: doc.metadata })),
+    createdAt: Date.now(),
+  };
+
+  // 读取与写回之间不能插入同一知识库的其他写入，否则后写的会覆盖先写的条目
+  return withWriteLock(cacheKey(options), async () => {
+    const entries = await readEntries(options.signature, options);
+    entries.push(entry);
+    const store = await getMemoryStore();
+    await store.set(
+      cacheKey(options),
+      JSON.stringify({ signature: options.signature, entries: entries.slice(-maxEntries) }),
+      { ttlSeconds: config.answerCache.ttlSeconds }
+    );
+  });
+}
+
+/**
+ * 清空某个知识库的回答缓存
+ */
+export async function clearAnswerCache(options = {}) {
+  return withWriteLock(cacheKey(options), async () => {
+    const store = await getMemoryStore();
+    return store.del(cacheKey(options));
+  });
+}
@@ -0,0 +1,164 @@
+/**
+ * 分批写入向量库
+ *
+ * - 文档按 ingest.batchSize 分批，最多 ingest.concurrency 批同时计算 embedding
+ * - 写入向量库按批串行（hnswlib 的主键依赖写入顺序，Milvus 在首批写入时创建 collection）
+ * - embedding、写入与落盘失败时按 ingest.retryDelayMs 指数退避重试 ingest.maxRetries 次；
+ *   写入与落盘分开重试，已成功的写入不会因落盘失败被重复执行
+ * - 每写入 ingest.flushEvery 批（以及结束时）落盘一次，落盘后再对这些批调用 onBatch(index, ids)，
+ *   调用方据此记录断点（见 ingest.js），断点中的批次都已持久化
+ */
+
+import { performance } from "node:perf_hooks";
+
+import { deleteDocumentsByIds, flushVectorStore, insertDocuments } from "./buildVectorStore.js";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+
+export function resolveIngestOptions(options = {}) {
+  return {
+    batchSize: Math.max(1, Number(options.ingest?.batchSize ?? config.ingest.batchSize)),
+    concurrency: Math.max(1, Number(options.ingest?.concurrency ?? config.ingest.concurrency)),
+    maxRetries: Math.max(0, Number(options.ingest?.maxRetries ?? config.ingest.maxRetries)),
+    retryDelayMs: Math.max(0, Number(options.ingest?.retryDelayMs ?? config.ingest.retryDelayMs)),
+    flushEvery: Math.max(1, Number(options.ingest?.flushEvery ?? config.ingest.flushEvery)),
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function withRetry(label, fn, { maxRetries, retryDelayMs }) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= maxRetries) throw err;
+      const delay = retryDelayMs * 2 ** attempt;
+      logger.warn(`⚠️ ${label}失败（${err?.message ?? err}），${delay}ms 后重试（${attempt + 1}/${maxRetries}）`);
+      await sleep(delay);
+    }
+  }
+}
+
+function formatSeconds(ms) {
+  const s = Math.round(ms / 1000);
+  return s >= 60 ? `${Math.floor(s / 60)}m${String(s % 60).padStart(2, "0")}s` : `${s}s`;
+}
+
+/**
+ * 进度条：每写完一批打印一行，ETA 只按本次运行的速度估算（断点恢复的部分不计入速度）
+ */
+export function createProgress(total, label = "写入向量") {
+  const start = performance.now();
+  const width = 24;
+  let done = 0;
+  let resumed = 0;
+
+  const render = () => {
+    const ratio = total > 0 ? Math.min(1, done / total) : 1;
+    const filled = Math.round(ratio * width);
+    const elapsed = performance.now() - start;
+    const rate = (done - resumed) / elapsed;
+    const eta = done < total && rate > 0 ? `，剩余约 ${formatSeconds((total - done) / rate)}` : "";
+    logger.info(
+      `📦 ${label} [${"█".repeat(filled)}${"░".repeat(width - filled)}] ${Math.floor(ratio * 100)}% ` +
+        `${done}/${total} 块，已用 ${formatSeconds(elapsed)}${eta}`,
+      { done, total }
+    );
+  };
+
+  return {
+    /**
+     * 断点中已完成的部分
+     */
+    skip(n) {
+      done += n;
+      resumed += n;
+    },
+    tick(n) {
+      done += n;
+      render();
+    },
+  };
+}
+
+/**
+ * 分批写入文档，返回与 documents 顺序一致的主键
+ *
+ * @param {Object} options - { ingest, completed: { [批序号]: ids }（已完成的批，跳过）, onBatch(index, ids), progress }
+ */
+export async function addDocumentsInBatches(vectorStore, documents, options = {}) {
+  const { batchSize, concurrency, flushEvery, ...retry } = resolveIngestOptions(options);
+  const batches = [];
+  for (let i = 0; i < documents.length; i += batchSize) {
+    batches.push(documents.slice(i, i + batchSize));
+  }
+
+  const results = batches.map((_, index) => options.completed?.[index] ?? null);
+  const pending = batches.map((_, index) => index).filter((index) => !Array.isArray(results[index]));
+  const progress = options.progress ?? createProgress(documents.length);
+  progress.skip(batches.reduce((n, batch, index) => (Array.isArray(results[index]) ? n + batch.length : n), 0));
+
+  let next = 0;
+  let failed = false;
+  let firstError = null;
+  let inserting = Promise.resolve();
+  let unflushed = [];
+
+  const flush = async () => {
+    if (unflushed.length === 0) return;
+    await withRetry("落盘", () => flushVectorStore(vectorStore), retry);
+    const written = unflushed;
+    unflushed = [];
+    for (const { index, ids } of written) {
+      await options.onBatch?.(index, ids);
+    }
+  };
+
+  const worker = async () => {
+    while (!failed && next < pending.length) {
+      const index = pending[next];
+      next += 1;
+      const batch = batches[index];
+      const label = `第 ${index + 1}/${batches.length} 批`;
+
+      try {
+        const vectors = await withRetry(
+          `${label} embedding `,
+          () => vectorStore.embeddings.embedDocuments(batch.map((doc) => doc.pageContent)),
+          retry
+        );
+        const insert = inserting.then(async () => {
+          if (failed) throw new Error("已有批次失败，停止写入");
+          const ids = await withRetry(`${label}写入`, () => insertDocuments(vectorStore, batch, vectors), retry);
+          results[index] = ids;
+          unflushed.push({ index, ids });
+          progress.tick(batch.length);
+          if (unflushed.length >= flushEvery) await flush();
+        });
+        inserting = insert.catch(() => {});
+        await insert;
+      } catch (err) {
+        if (!failed) {
+          failed = true;
+          firstError = err;
+        }
+        return;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+  if (firstError) {
+    // 失败前已写入的批次也落盘并记入断点，下次 sync 从这里继续；落盘仍失败时删除这些批次，避免留下不在断点中的向量
+    await flush().catch(() =>
+      deleteDocumentsByIds(vectorStore, unflushed.flatMap((written) => written.ids)).catch(() => undefined)
+    );
+    throw firstError;
+  }
+  await flush();
+
+  return results.flat();
+}
@@ -0,0 +1,156 @@
+/**
+ * 浏览向量库内容：按 source 汇总、分页查看某个 source 的 chunk、按子串搜索 chunk、统计信息
+ *
+ * 都基于 listDocuments 读出的全量 chunk（Milvus 分批 query），用于排查索引里实际有什么，不用于在线检索。
+ * 同一个 source 的 chunk 按页码、起始行排序后从 1 编号（position），chunks 与 grep 的编号一致。
+ */
+
+import {
+  describeVectorIndex,
+  getCollectionDimension,
+  listDocuments,
+  readCollectionMeta,
+  vectorStoreExists,
+} from "./buildVectorStore.js";
+import { getPageNumber } from "./citations.js";
+
+const SNIPPET_BEFORE = 40;
+const SNIPPET_AFTER = 80;
+
+/**
+ * chunk 在原文中的起始行（Milvus 返回的 loc 可能是 JSON 字符串）
+ */
+function startLine(metadata = {}) {
+  let loc = metadata.loc;
+  if (typeof loc === "string") {
+    try {
+      loc = JSON.parse(loc);
+    } catch {
+      loc = undefined;
+    }
+  }
+  return Number(loc?.lines?.from ?? 0) || 0;
+}
+
+/**
+ * 按 source 分组，组内按页码、起始行排序（sort 稳定，相同时保持写入顺序）
+ */
+function groupBySource(documents) {
+  const groups = new Map();
+  documents.forEach((doc) => {
+    const source = String(doc.metadata?.source ?? "");
+    if (!groups.has(source)) groups.set(source, []);
+    groups.get(source).push(doc);
+  });
+  const pageOf = (doc) => getPageNumber(doc.metadata) ?? 0;
+  groups.forEach((docs) =>
+    docs.sort((a, b) => pageOf(a) - pageOf(b) || startLine(a.metadata) - startLine(b.metadata))
+  );
+  return new Map([...groups.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * 输出用的 chunk：去掉各后端的主键字段，其余 metadata 原样保留
+ */
+function toChunk(vectorStore, doc, position) {
+  const { pk, source, [vectorStore.primaryField]: primaryKey, ...metadata } = doc.metadata ?? {};
+  return {
+    position,
+    pk: pk ?? primaryKey ?? doc.id ?? null,
+    source: source ?? null,
+    page: getPageNumber(doc.metadata),
+    chars: doc.pageContent.length,
+    text: doc.pageContent,
+    metadata,
+  };
+}
+
+function snippetAround(text, at, length) {
+  const start = Math.max(0, at - SNIPPET_BEFORE);
+  const end = Math.min(text.length, at + length + SNIPPET_AFTER);
+  const body = text.slice(start, end).replace(/\s+/g, " ").trim();
+  return `${start > 0 ? "…" : ""}${body}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * 已写入的 source 及各自的块数与字符数
+ * @returns {Promise<Array<{ source, chunks, chars }>>}
+ */
+export async function listSources(vectorStore) {
+  const groups = groupBySource(await listDocuments(vectorStore));
+  return [...groups.entries()].map(([source, docs]) => ({
+    source,
+    chunks: docs.length,
+    chars: docs.reduce((n, doc) => n + doc.pageContent.length, 0),
+  }));
+}
+
+/**
+ * 分页查看某个 source 的 chunk
+ * @param {Object} [options] - { offset = 0, limit = 10 }
+ * @returns {Promise<{ source, total, offset, limit, chunks }>} total 为 0 表示向量库中没有该 source
+ */
+export async function listSourceChunks(vectorStore, source, options = {}) {
+  const offset = options.offset ?? 0;
+  const limit = options.limit ?? 10;
+  const docs = groupBySource(await listDocuments(vectorStore)).get(source) ?? [];
+  return {
+    source,
+    total: docs.length,
+    offset,
+    limit,
+    chunks: docs.slice(offset, offset + limit).map((doc, i) => toChunk(vectorStore, doc, offset + i + 1)),
+  };
+}
+
+/**
+ * 按子串搜索 chunk（不区分大小写），返回命中位置附近的片段
+ * @param {Object} [options] - { source（只搜索该 source）, limit = 20 }
+ * @returns {Promise<{ query, total, matches: Array<{ source, position, pk, page, occurrences, snippet }> }>}
+ */
+export async function searchChunks(vectorStore, query, options = {}) {
+  const needle = String(query).toLowerCase();
+  const limit = options.limit ?? 20;
+  const matches = [];
+  groupBySource(await listDocuments(vectorStore)).forEach((docs, source) => {
+    if (options.source && source !== options.source) return;
+    docs.forEach((doc, i) => {
+      const haystack = doc.pageContent.toLowerCase();
+      const at = haystack.indexOf(needle);
+      if (!needle || at < 0) return;
+      const { pk, page } = toChunk(vectorStore, doc, i + 1);
+      matches.push({
+        source,
+        position: i + 1,
+        pk,
+        page,
+        occurrences: haystack.split(needle).length - 1,
+        snippet: snippetAround(doc.pageContent, at, needle.length),
+      });
+    });
+  });
+  return { query, total: matches.length, matches: matches.slice(0, limit) };
+}
+
+/**
+ * 向量库统计：行数（chunk 数）、source 数、向量维度、索引类型与距离度量、写入时记录的元数据
+ */
+export async function collectionStats(vectorStore) {
+  if (!(await vectorStoreExists(vectorStore))) {
+    return { exists: false, chunks: 0, sources: 0, dimension: null, index: null, meta: null };
+  }
+  const [documents, dimension, index, meta] = await Promise.all([
+    listDocuments(vectorStore),
+    getCollectionDimension(vectorStore),
+    describeVectorIndex(vectorStore),
+    readCollectionMeta(vectorStore),
+  ]);
+  return {
+    exists: true,
+    chunks: documents.length,
+    sources: new Set(documents.map((doc) => doc.metadata?.source)).size,
+    dimension,
+    index,
+    meta,
+  };
+}
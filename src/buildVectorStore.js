@@ -1,332 +1,257 @@
 /**
- * 向量库构建 / 加载（本地持久化）
+ * 向量库构建 / 加载
  *
- * - VectorStore: HNSWLib（本地索引，支持 save/load）
- * - Embeddings: OllamaEmbeddings（走本地 Ollama 服务）
+ * - VectorStore: 由 config.vectorStore.type 选择后端
+ *   - milvus：docker-compose 中的 Milvus（默认）
+ *   - hnswlib：本地索引，持久化到 vectorStore.persistDir
+ *   - memory：进程内 MemoryVectorStore，不持久化
+ * - Embeddings: 由 models.embedding.provider 选择 OllamaEmbeddings / OpenAIEmbeddings（见 models.js），
+ *   外包一层计时（TimedEmbeddings），embeddingCache.enabled 时再包一层 CachedEmbeddings（见 embeddingCache.js）
+ *
+ * 各后端实现同一组方法（见 src/vectorStores/*.js）：
+ * describe / load / exists / prepare / addDocuments / flush / deleteByIds / findIdsBySource / createFilter / listDocuments / drop / show /
+ * readMeta / writeMeta / dimension / describeIndex / stagingOptions / promote
  */
 
-import { Milvus } from "@langchain/community/vectorstores/milvus";
-import { OllamaEmbeddings } from "@langchain/ollama";
-import { DataType } from "@zilliz/milvus2-sdk-node";
-import { performance } from "node:perf_hooks";
+import { Embeddings } from "@langchain/core/embeddings";
+
 import { config } from "./config.js";
+import { createEmbeddingModel, resolveModelSettings } from "./models.js";
+import { logger, span } from "./logger.js";
+import { CachedEmbeddings, isEmbeddingCacheEnabled } from "./embeddingCache.js";
+import { addDocumentsInBatches } from "./batchIngest.js";
+import { hnswlibBackend } from "./vectorStores/hnswlib.js";
+import { memoryBackend } from "./vectorStores/memory.js";
+import { milvusBackend } from "./vectorStores/milvus.js";
+
+const BACKENDS = {
+  [milvusBackend.type]: milvusBackend,
+  [hnswlibBackend.type]: hnswlibBackend,
+  [memoryBackend.type]: memoryBackend,
+};
 
-function normalizeMilvusAddress(raw) {
-  if (!raw) return raw;
-  if (typeof raw !== "string") return raw;
-  const trimmed = raw.trim();
-  try {
-    const u = new URL(trimmed);
-    if (u.hostname) {
-      const port = u.port || "19530";
-      return `${u.hostname}:${port}`;
-    }
-    return trimmed;
-  } catch {
-    return trimmed.replace(/^https?:\/\//i, "");
+/**
+ * 计时的 Embeddings：包装底层模型，每次请求记一个 span（见 logger.js）
+ */
+class TimedEmbeddings extends Embeddings {
+  constructor(underlyingEmbeddings) {
+    super({});
+    this.underlyingEmbeddings = underlyingEmbeddings;
   }
-}
 
-function monitor(label, fn, intervalMs = 10000) {
-  const start = performance.now();
-  console.log(`⏱️ [timing] ${label} start`);
-  const timer = setInterval(() => {
-    const costMs = performance.now() - start;
-    console.log(`⏱️ [timing] ${label} running ${costMs.toFixed(0)}ms`);
-  }, intervalMs);
-
-  return Promise.resolve()
-    .then(fn)
-    .then((res) => {
-      clearInterval(timer);
-      const costMs = performance.now() - start;
-      console.log(`⏱️ [timing] ${label} ${costMs.toFixed(1)}ms`);
-      return res;
-    })
-    .catch((err) => {
-      clearInterval(timer);
-      const costMs = performance.now() - start;
-      console.log(`⏱️ [timing] ${label} ${costMs.toFixed(1)}ms error`);
-      throw err;
+  embedDocuments(texts) {
+    return span("embeddings.embedDocuments", () => this.underlyingEmbeddings.embedDocuments(texts), {
+      n: texts.length,
     });
+  }
+
+  embedQuery(text) {
+    return span("embeddings.embedQuery", () => this.underlyingEmbeddings.embedQuery(text));
+  }
 }
 
 export function createEmbeddings(options = {}) {
-  const embeddings = new OllamaEmbeddings({
-    baseUrl: options.ollamaBaseUrl ?? config.ollama.baseUrl,
-    model: options.embeddingModel ?? config.ollama.embeddingModel,
+  const embeddings = new TimedEmbeddings(createEmbeddingModel(options));
+
+  // TimedEmbeddings 在缓存内层：计时只统计真正请求模型的部分（缓存未命中）
+  if (!isEmbeddingCacheEnabled(options)) return embeddings;
+  const { provider, model } = resolveModelSettings("embedding", options);
+  // 不同 provider 的同名模型向量不一定相同，命名空间带上 provider（ollama 保持原有的模型名目录）
+  return new CachedEmbeddings({
+    underlyingEmbeddings: embeddings,
+    model: provider === "ollama" ? model : `${provider}-${model}`,
   });
+}
 
-  if (!embeddings.__timingPatched) {
-    embeddings.__timingPatched = true;
-
-    if (typeof embeddings.embedQuery === "function") {
-      const originalEmbedQuery = embeddings.embedQuery.bind(embeddings);
-      embeddings.embedQuery = async (...args) =>
-        monitor("embeddings.embedQuery", () => originalEmbedQuery(...args));
-    }
-
-    if (typeof embeddings.embedDocuments === "function") {
-      const originalEmbedDocuments = embeddings.embedDocuments.bind(embeddings);
-      embeddings.embedDocuments = async (texts, ...rest) => {
-        const n = Array.isArray(texts) ? texts.length : 0;
-        return monitor(`embeddings.embedDocuments n=${n}`, () => originalEmbedDocuments(texts, ...rest));
-      };
-    }
+/**
+ * 按 options.vectorStoreType / config.vectorStore.type 选择后端
+ */
+export function getVectorStoreBackend(options = {}) {
+  const type = String(options.vectorStoreType ?? config.vectorStore.type).toLowerCase();
+  const backend = BACKENDS[type];
+  if (!backend) {
+    throw new Error(`不支持的 vectorStore.type: "${type}"（可选：${Object.keys(BACKENDS).join(" / ")}）`);
   }
+  return backend;
+}
 
-  return embeddings;
+/**
+ * 根据已加载的 vectorStore 实例找到对应后端
+ */
+function backendOf(vectorStore) {
+  return getVectorStoreBackend({ vectorStoreType: vectorStore._vectorstoreType() });
+}
+
+/**
+ * 向量库的唯一标识（后端类型 + collection / 目录），用于判断 manifest 是否属于当前向量库
+ */
+export function describeVectorStore(options = {}) {
+  return getVectorStoreBackend(options).describe(options);
 }
 
 export function loadVectorStore(options = {}) {
-  const embeddings = createEmbeddings(options);
-  return Promise.resolve(
-    new Milvus(embeddings, {
-      collectionName: options.collectionName ?? config.milvus.collectionName,
-      partitionName:
-        options.partitionName ?? (config.milvus.partitionName ? config.milvus.partitionName : undefined),
-      url: normalizeMilvusAddress(options.url ?? config.milvus.url),
-      username: options.username ?? config.milvus.username,
-      password: options.password ?? config.milvus.password,
-      ssl: options.ssl ?? config.milvus.ssl,
-      textField: options.textField ?? "text",
-      vectorField: options.vectorField ?? "vector",
-      textFieldMaxLength: options.textFieldMaxLength ?? config.milvus.textFieldMaxLength,
-    })
-  );
+  return Promise.resolve().then(() => getVectorStoreBackend(options).load(createEmbeddings(options), options));
 }
 
 /**
- * 检查 Milvus collection 是否存在
+ * 检查向量库中是否已有数据（Milvus 为 collection 是否存在）
  */
-function checkCollectionExists(vectorStore, collectionName) {
-  return vectorStore.client
-    .hasCollection({ collection_name: collectionName })
-    .then((res) => res.value === true)
-    .catch(() => false);
+export function vectorStoreExists(vectorStore) {
+  return backendOf(vectorStore).exists(vectorStore);
 }
 
 /**
- * 如果本地已有索引则加载，否则用传入 documents 构建并持久化
+ * 查询前的准备工作（Milvus 需要 load collection）
  */
+export function prepareVectorStore(vectorStore) {
+  return backendOf(vectorStore).prepare(vectorStore);
+}
 
+/**
+ * 写入文档并返回各后端的主键，不落盘（之后调用 flushVectorStore）；vectors 为已算好的向量（可选，省略时由后端调用 embedding）
+ */
+export function insertDocuments(vectorStore, documents, vectors) {
+  return backendOf(vectorStore).addDocuments(vectorStore, documents, vectors);
+}
 
-export function deleteVectorStore(options = {}) {
-  // 对 Milvus 来说，删除向量库=删除 collection
-  return loadVectorStore(options).then((vs) => {
-    const collectionName = options.collectionName ?? config.milvus.collectionName;
-    // milvus2-sdk-node API：dropCollection({ collection_name })
-    return vs.client
-      .dropCollection({ collection_name: collectionName })
-      .then(() => undefined)
-      .catch(() => undefined);
-  });
+/**
+ * 把已写入的数据落盘（Milvus flush，hnswlib 保存索引文件）
+ */
+export function flushVectorStore(vectorStore) {
+  return backendOf(vectorStore).flush(vectorStore);
 }
 
-export function showVectorStore(options = {}) {
-  const collectionName = options.collectionName ?? config.milvus.collectionName;
-  let vectorStore;
-
-  return loadVectorStore(options)
-    .then((vs) => {
-      vectorStore = vs;
-      return checkCollectionExists(vs, collectionName);
-    })
-    .then((exists) => {
-      if (!exists) {
-        throw new Error(`Milvus collection "${collectionName}" 不存在。`);
-      }
-
-      // 首先加载 collection 确保其可被查询
-      return vectorStore.client.loadCollectionSync({
-        collection_name: collectionName,
-      }).then(() => {
-        // 然后获取 collection 的 schema 来查找所有字段
-        return vectorStore.client.describeCollection({ collection_name: collectionName });
-      });
-    })
-    .then((desc) => {
-        if (desc.status && desc.status.error_code !== 'Success') {
-            throw new Error(`获取 collection 结构失败: ${desc.status.reason}`);
-        }
-        const schemaFields = desc.schema?.fields ?? [];
-        const primaryField =
-          schemaFields.find((f) => f.is_primary_key)?.name ?? vectorStore.primaryField;
-        const output_fields = schemaFields
-          .map((f) => f.name)
-          .filter((name) => name && name !== vectorStore.vectorField);
-        const final_output_fields =
-          output_fields.length > 0
-            ? output_fields
-            : [vectorStore.primaryField, vectorStore.textField, "source"].filter(Boolean);
-        const expr =
-          typeof primaryField === "string" && primaryField.length > 0
-            ? `${primaryField} >= 0`
-            : "pk >= 0";
-
-        return vectorStore.client.query({
-            collection_name: collectionName,
-            expr,
-            output_fields: final_output_fields,
-            limit: 5,
-        });
-    })
-    .then((res) => {
-      if (res.status && res.status.error_code !== 'Success') {
-        throw new Error(`查询失败: ${res.status.reason}`);
-      }
-      return res.data;
-    });
+/**
+ * 写入文档并落盘，返回各后端的主键
+ */
+export async function addDocumentsWithIds(vectorStore, documents, vectors) {
+  const ids = await insertDocuments(vectorStore, documents, vectors);
+  await flushVectorStore(vectorStore);
+  return ids;
 }
 
-async function ensureCollection(vectorStore, documents) {
-  const hasColResp = await monitor("milvus.hasCollection", () =>
-    vectorStore.client.hasCollection({
-      collection_name: vectorStore.collectionName,
-    })
-  );
-  if (hasColResp.status?.error_code && hasColResp.status.error_code !== "Success") {
-    throw new Error(`Error checking collection: ${JSON.stringify(hasColResp)}`);
-  }
-  if (hasColResp.value === true) {
-    return;
-  }
+/**
+ * 读取 / 写入向量库元数据（见 collectionMeta.js），未写入过时读取结果为 null
+ */
+export function readCollectionMeta(vectorStore) {
+  return backendOf(vectorStore).readMeta(vectorStore);
+}
 
-  const dimProbe = await monitor("dimensionProbe", () => vectorStore.embeddings.embedQuery("dimension_probe"));
-  const dim = Array.isArray(dimProbe) ? dimProbe.length : 0;
-  if (!dim) {
-    throw new Error("Failed to determine embedding dimension.");
-  }
+export function writeCollectionMeta(vectorStore, meta) {
+  return backendOf(vectorStore).writeMeta(vectorStore, meta);
+}
 
-  const sampleMetadata = documents[0]?.metadata ?? {};
-  const metadataFields = Object.entries(sampleMetadata)
-    .filter(([key]) => key !== vectorStore.primaryField && key !== vectorStore.partitionKey)
-    .map(([key, value]) => {
-      const t = typeof value;
-      if (t === "number") {
-        return {
-          name: key,
-          description: "Metadata Number field",
-          data_type: DataType.Float,
-        };
-      }
-      if (t === "boolean") {
-        return {
-          name: key,
-          description: "Metadata Boolean field",
-          data_type: DataType.Bool,
-        };
-      }
-      if (value === null || value === undefined) {
-        return null;
-      }
-      return {
-        name: key,
-        description: "Metadata String field",
-        data_type: DataType.VarChar,
-        type_params: {
-          max_length: "4096",
-        },
-      };
-    })
-    .filter(Boolean);
-
-  const fields = [
-    ...metadataFields,
-    {
-      name: vectorStore.primaryField,
-      description: "Primary key",
-      data_type: DataType.Int64,
-      is_primary_key: true,
-      autoID: true,
-    },
-    {
-      name: vectorStore.textField,
-      description: "Text field",
-      data_type: DataType.VarChar,
-      type_params: {
-        max_length: String(vectorStore.textFieldMaxLength || 65535),
-      },
-    },
-    {
-      name: vectorStore.vectorField,
-      description: "Vector field",
-      data_type: DataType.FloatVector,
-      type_params: {
-        dim: String(dim),
-      },
-    },
-  ];
-
-  const createRes = await monitor("milvus.createCollection", () =>
-    vectorStore.client.createCollection({
-      collection_name: vectorStore.collectionName,
-      fields,
-    })
-  );
-  if (createRes.error_code && createRes.error_code !== "Success") {
-    throw new Error(`Failed to create collection: ${JSON.stringify(createRes)}`);
-  }
+/**
+ * 向量库中向量的维度，向量库为空时为 null
+ */
+export function getCollectionDimension(vectorStore) {
+  return backendOf(vectorStore).dimension(vectorStore);
+}
 
-  await monitor("milvus.createIndex", () =>
-    vectorStore.client.createIndex({
-      collection_name: vectorStore.collectionName,
-      field_name: vectorStore.vectorField,
-      extra_params: {
-        index_type: "HNSW",
-        metric_type: "L2",
-        params: JSON.stringify({ M: 8, efConstruction: 64 }),
-      },
-    })
-  );
+/**
+ * 向量索引的类型、距离度量与参数：{ type, metric, params }，未建索引时为 null
+ */
+export function describeVectorIndex(vectorStore) {
+  return backendOf(vectorStore).describeIndex(vectorStore);
+}
 
-  await monitor("milvus.loadCollectionSync", () =>
-    vectorStore.client.loadCollectionSync({
-      collection_name: vectorStore.collectionName,
-    })
-  );
+/**
+ * 按主键删除向量
+ */
+export function deleteDocumentsByIds(vectorStore, ids) {
+  return backendOf(vectorStore).deleteByIds(vectorStore, ids);
 }
 
+/**
+ * 查询某个 source 对应的全部主键
+ */
+export function findIdsBySource(vectorStore, source) {
+  return backendOf(vectorStore).findIdsBySource(vectorStore, source);
+}
 
+/**
+ * 把 parseFilter 的条件翻译为当前后端的检索过滤参数
+ */
+export function createVectorStoreFilter(vectorStore, filter) {
+  return filter ? backendOf(vectorStore).createFilter(filter, vectorStore) : undefined;
+}
+
+/**
+ * 读出向量库中的全部 chunk
+ */
+export function listDocuments(vectorStore) {
+  return backendOf(vectorStore).listDocuments(vectorStore);
+}
+
+export function deleteVectorStore(options = {}) {
+  return loadVectorStore(options).then((vs) => backendOf(vs).drop(vs));
+}
+
+/**
+ * 与 options 对应的临时向量库的 options（迁移时先写入临时向量库，成功后再替换）
+ */
+export function stagingVectorStoreOptions(options = {}) {
+  return getVectorStoreBackend(options).stagingOptions(options);
+}
+
+/**
+ * 用临时向量库 staging 替换 options 对应的向量库，返回替换后重新加载的向量库
+ */
+export async function promoteVectorStore(staging, options = {}) {
+  await backendOf(staging).promote(staging, options);
+  return loadVectorStore(options);
+}
+
+export function showVectorStore(options = {}) {
+  return loadVectorStore(options).then((vs) => backendOf(vs).show(vs, options));
+}
+
+/**
+ * 相似度检索（各后端统一入口）
+ */
+export function searchVectorStore(query, options = {}) {
+  return loadVectorStore(options).then((vs) =>
+    vs.similaritySearchWithScore(query, options.topK ?? config.retrieval.topK)
+  );
+}
 
 /**
  * 构建或加载向量库
+ *
+ * 文档分批写入（见 batchIngest.js）；失败时已写入的批次保留在向量库中，不再删除整个向量库，
+ * 需要断点续传时请使用 ingest.js 的 syncVectorStore。
  * @param {Array} documents - 要插入的文档数组
  * @param {Object} options - 配置选项（可选）
- * @returns {Promise<Milvus>} 返回 Milvus vectorStore 实例
+ * @returns {Promise<VectorStore>} 返回所选后端的 vectorStore 实例
  */
 export async function buildOrLoadVectorStore(documents, options = {}) {
-  const collectionName = options.collectionName ?? config.milvus.collectionName;
-  
+  const name = describeVectorStore(options);
+
   try {
     const vectorStore = await loadVectorStore(options);
-    const exists = await checkCollectionExists(vectorStore, collectionName);
+    const exists = await vectorStoreExists(vectorStore);
 
     if (exists) {
-      console.log(`✅ Milvus collection "${collectionName}" 已存在，直接使用`);
-      await monitor("milvus.loadCollectionSync(existing)", () =>
-        vectorStore.client.loadCollectionSync({
-          collection_name: collectionName,
-        })
-      );
+      logger.info(`✅ 向量库 "${name}" 已存在，直接使用`);
+      await prepareVectorStore(vectorStore);
       return vectorStore;
     }
 
     if (!documents || documents.length === 0) {
       throw new Error(
-        `Milvus collection "${collectionName}" 不存在，且未提供可用于构建的 documents。`
+        `向量库 "${name}" 不存在，且未提供可用于构建的 documents。`
       );
     }
 
-    console.log(`🔄 Milvus collection "${collectionName}" 不存在，正在创建并插入数据...`);
-    await monitor("ensureCollection", () => ensureCollection(vectorStore, documents));
-    await monitor(`vectorStore.addDocuments n=${documents.length}`, () => vectorStore.addDocuments(documents));
-    console.log("✅ Collection 创建并插入成功");
+    logger.info(`🔄 向量库 "${name}" 不存在，正在创建并插入数据...`);
+    await span("addDocumentsInBatches", () => addDocumentsInBatches(vectorStore, documents, options), {
+      n: documents.length,
+    });
+    logger.info("✅ 向量库创建并插入成功");
     return vectorStore;
 
   } catch (err) {
-    console.error("❌ 创建或插入数据时发生严重错误:", err);
-    await deleteVectorStore(options).catch(() => {});
+    logger.error(`❌ 创建或插入数据时发生严重错误: ${err?.message ?? err}`, { error: err });
     throw err;
   }
 }
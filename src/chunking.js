@@ -0,0 +1,257 @@
+/**
+ * 结构感知切分：按文件格式选择切分策略（documents.splitters）
+ *
+ * - recursive：RecursiveCharacterTextSplitter，固定 chunkSize / chunkOverlap（原有行为）
+ * - markdown：按标题层级切成小节，小节过长时再按句子切分；标题路径写入 headingPath / section
+ * - page：每页（PDF 每页是一个 Document）尽量作为一个 chunk，超长时在页内按句子切分，不跨页合并
+ * - sentence：按中英文句末标点切句，再把整句装进 chunkSize 以内，重叠部分也以整句为单位
+ * - lines：整行装箱，不在行中间切开（CSV / XLSX / JSON 每行是一条完整记录）
+ *
+ * recursive 策略遇到源代码（metadata.language）时使用对应语言的分隔符（函数 / 类边界优先）。
+ *
+ * 连续的表格行（以 | 开头的行）与 ``` 代码块视为一个整体，只有超过 chunkSize 时才按行切开（表格每段重复表头）。
+ */
+
+import path from "node:path";
+
+import { Document } from "@langchain/core/documents";
+import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
+import { config } from "./config.js";
+import { splitterLanguageOf } from "./loaders/code.js";
+
+export const SPLIT_STRATEGIES = ["recursive", "markdown", "page", "sentence", "lines"];
+
+const HEADING_RE = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_RE = /^\s*(```|~~~)/;
+const TABLE_ROW_RE = /^\s*\|.*\|\s*$/;
+// 句子：到中英文句末标点（含其后的引号 / 括号）、英文句点 + 空白、或换行为止
+const SENTENCE_RE = /[^\n]*?(?:[。！？；!?;]+[”’」』）)"']*|\.(?=\s|$)|\n+|$)/g;
+
+/**
+ * 按文件扩展名选择切分策略，未配置的扩展名使用 default
+ */
+export function getSplitStrategy(source, options = {}) {
+  const splitters = { ...config.documents.splitters, ...options.splitters };
+  const ext = path.extname(String(source ?? "")).slice(1).toLowerCase();
+  const strategy = String(splitters[ext] ?? splitters.default ?? "recursive").toLowerCase();
+  if (!SPLIT_STRATEGIES.includes(strategy)) {
+    throw new Error(`不支持的切分策略 "${strategy}"（${ext || "default"}，可选：${SPLIT_STRATEGIES.join(" / ")}）`);
+  }
+  return strategy;
+}
+
+/**
+ * 把文本切成句子 / 表格块 / 代码块，拼接起来与原文一致
+ */
+export function splitSentences(text) {
+  const units = [];
+  let plain = "";
+  let block = "";
+  let inFence = false;
+
+  const flushPlain = () => {
+    if (!plain) return;
+    for (const match of plain.matchAll(SENTENCE_RE)) {
+      if (match[0]) units.push(match[0]);
+    }
+    plain = "";
+  };
+  const flushBlock = () => {
+    if (!block) return;
+    units.push(block);
+    block = "";
+  };
+
+  String(text ?? "")
+    .split(/(?<=\n)/)
+    .forEach((line) => {
+      const isFence = FENCE_RE.test(line);
+      if (inFence || isFence) {
+        if (isFence && !inFence) {
+          flushPlain();
+          flushBlock();
+        }
+        block += line;
+        if (isFence) inFence = !inFence;
+        if (!inFence) flushBlock();
+      } else if (TABLE_ROW_RE.test(line)) {
+        flushPlain();
+        block += line;
+      } else {
+        flushBlock();
+        plain += line;
+      }
+    });
+  flushBlock();
+  flushPlain();
+  return units;
+}
+
+/**
+ * 超过 chunkSize 的单元：表格按行切并在每段重复表头，代码块按行切，普通长句按字符硬切
+ */
+function splitOversized(unit, chunkSize, chunkOverlap) {
+  const lines = unit.split(/(?<=\n)/);
+  if (lines.length > 1) {
+    // Markdown 表格：表头 + 分隔行在每段重复
+    if (TABLE_ROW_RE.test(lines[0]) && /^\s*\|[\s:|-]+\|\s*$/.test(lines[1] ?? "")) {
+      const header = lines.slice(0, 2).join("");
+      if (header.length < chunkSize / 2) {
+        return packSentences(lines.slice(2), chunkSize - header.length, 0).map((chunk) => `${header}${chunk}`);
+      }
+    }
+    return packSentences(lines, chunkSize, 0);
+  }
+
+  const chunks = [];
+  const step = Math.max(1, chunkSize - chunkOverlap);
+  for (let i = 0; i < unit.length; i += step) {
+    chunks.push(unit.slice(i, i + chunkSize));
+    if (i + chunkSize >= unit.length) break;
+  }
+  return chunks;
+}
+
+/**
+ * 把句子按顺序装进不超过 chunkSize 的 chunk；相邻 chunk 重叠不超过 chunkOverlap 的整句
+ */
+function packSentences(sentences, chunkSize, chunkOverlap) {
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  const flush = () => {
+    if (current.length > 0) chunks.push(current.join(""));
+  };
+
+  for (const sentence of sentences) {
+    if (sentence.length > chunkSize) {
+      flush();
+      current = [];
+      length = 0;
+      chunks.push(...splitOversized(sentence, chunkSize, chunkOverlap));
+      continue;
+    }
+
+    if (length + sentence.length > chunkSize && current.length > 0) {
+      flush();
+      const overlap = [];
+      let overlapLength = 0;
+      for (let i = current.length - 1; i >= 0; i -= 1) {
+        if (overlapLength + current[i].length > chunkOverlap) break;
+        overlap.unshift(current[i]);
+        overlapLength += current[i].length;
+      }
+      current = overlap;
+      length = overlapLength;
+      while (current.length > 0 && length + sentence.length > chunkSize) {
+        length -= current.shift().length;
+      }
+    }
+    current.push(sentence);
+    length += sentence.length;
+  }
+  flush();
+
+  return chunks.map((c) => c.trim()).filter(Boolean);
+}
+
+/**
+ * 按 Markdown 标题切成小节（忽略代码块中的 #），每个小节带上从顶层到当前的标题路径
+ * 只有标题、没有正文的小节不单独输出（标题仍出现在后续小节的标题路径中）；全文都没有正文时保留标题
+ */
+export function splitMarkdownSections(text) {
+  const sections = [];
+  const headings = [];
+  let current = { headings: [], lines: [], hasBody: false };
+  let inFence = false;
+
+  String(text ?? "")
+    .split(/(?<=\n)/)
+    .forEach((line) => {
+      if (FENCE_RE.test(line)) inFence = !inFence;
+      const match = inFence ? null : line.match(HEADING_RE);
+      if (!match) {
+        current.lines.push(line);
+        if (line.trim()) current.hasBody = true;
+        return;
+      }
+      sections.push(current);
+      const level = match[1].length;
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) headings.pop();
+      headings.push({ level, title: match[2].trim() });
+      current = { headings: headings.map((h) => h.title), lines: [line], hasBody: false };
+    });
+  sections.push(current);
+
+  const withBody = sections.filter((s) => s.hasBody);
+  return (withBody.length > 0 ? withBody : sections)
+    .map((s) => ({ headings: s.headings, text: s.lines.join("") }))
+    .filter((s) => s.text.trim());
+}
+
+function withChunkMetadata(doc, pageContent, headings = []) {
+  // 文档内没有标题时沿用 loader 给出的位置（XLSX 工作表、EPUB 章节）
+  const headingPath = headings.length > 0 ? headings.join(" > ") : String(doc.metadata?.headingPath ?? "");
+  const section = headings.length > 0 ? headings[headings.length - 1] : String(doc.metadata?.section ?? "");
+  return new Document({
+    pageContent,
+    metadata: {
+      ...doc.metadata,
+      // 所有 chunk 都带这些字段（没有时为空字符串），保证 Milvus schema 一致
+      headingPath,
+      section,
+      language: String(doc.metadata?.language ?? ""),
+      // 小写扩展名（如 ".pdf"），type 过滤按它精确匹配，各后端都不区分大小写
+      ext: path.extname(String(doc.metadata?.source ?? "")).toLowerCase(),
+    },
+  });
+}
+
+function splitOne(doc, strategy, { chunkSize, chunkOverlap }) {
+  const text = doc.pageContent ?? "";
+  if (strategy === "markdown") {
+    return splitMarkdownSections(text).flatMap((section) =>
+      packSentences(splitSentences(section.text), chunkSize, chunkOverlap).map((chunk) =>
+        withChunkMetadata(doc, chunk, section.headings)
+      )
+    );
+  }
+  if (strategy === "lines") {
+    return packSentences(text.split(/(?<=\n)/), chunkSize, chunkOverlap).map((chunk) => withChunkMetadata(doc, chunk));
+  }
+  if (strategy === "page" && text.trim().length <= chunkSize) {
+    return text.trim() ? [withChunkMetadata(doc, text.trim())] : [];
+  }
+  return packSentences(splitSentences(text), chunkSize, chunkOverlap).map((chunk) => withChunkMetadata(doc, chunk));
+}
+
+/**
+ * 按各文档来源的扩展名选择策略切分，保持原有顺序
+ */
+export async function splitByStrategy(documents, options = {}) {
+  const chunkSize = Number(options.chunkSize ?? config.documents.chunkSize);
+  const chunkOverlap = Number(options.chunkOverlap ?? config.documents.chunkOverlap);
+  const recursive = new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap });
+  const codeSplitters = new Map();
+  const recursiveFor = (doc) => {
+    const language = splitterLanguageOf(doc.metadata?.language);
+    if (!language) return recursive;
+    if (!codeSplitters.has(language)) {
+      codeSplitters.set(language, RecursiveCharacterTextSplitter.fromLanguage(language, { chunkSize, chunkOverlap }));
+    }
+    return codeSplitters.get(language);
+  };
+
+  const chunks = [];
+  for (const doc of documents) {
+    const strategy = getSplitStrategy(doc.metadata?.source, options);
+    if (strategy === "recursive") {
+      const parts = await recursiveFor(doc).splitDocuments([doc]);
+      chunks.push(...parts.map((part) => withChunkMetadata(part, part.pageContent)));
+    } else {
+      chunks.push(...splitOne(doc, strategy, { chunkSize, chunkOverlap }));
+    }
+  }
+  return chunks;
+}
@@ -0,0 +1,108 @@
+/**
+ * 来源引用：给检索到的 chunk 编号，并把回答中的 [n] 标记映射回文件 / 页码 / 章节 / 片段
+ */
+
+import { Document } from "@langchain/core/documents";
+import { PromptTemplate } from "@langchain/core/prompts";
+
+const SNIPPET_LENGTH = 120;
+
+/**
+ * 每个 chunk 注入上下文时的格式（变量来自 labelDocuments 写入的 metadata）
+ */
+export const CITATION_DOCUMENT_PROMPT = PromptTemplate.fromTemplate(
+  "[{citationIndex}] 来源：{citationLabel}\n{page_content}"
+);
+
+/**
+ * 读取 PDF 页码（Milvus 返回的 loc 可能是 JSON 字符串）
+ */
+export function getPageNumber(metadata = {}) {
+  let loc = metadata.loc;
+  if (typeof loc === "string") {
+    try {
+      loc = JSON.parse(loc);
+    } catch {
+      loc = undefined;
+    }
+  }
+  const page = loc?.pageNumber;
+  return typeof page === "number" && Number.isFinite(page) ? page : null;
+}
+
+/**
+ * 读取 chunk 所在的标题路径（结构感知切分写入，见 chunking.js）
+ */
+export function getHeadingPath(metadata = {}) {
+  const headingPath = metadata.headingPath;
+  return typeof headingPath === "string" && headingPath ? headingPath : null;
+}
+
+function formatLabel(metadata = {}) {
+  const source = metadata.source ?? "未知来源";
+  const page = getPageNumber(metadata);
+  const headingPath = getHeadingPath(metadata);
+  const location = [page !== null ? `第 ${page} 页` : null, headingPath].filter(Boolean).join("，");
+  return location ? `${source}（${location}）` : source;
+}
+
+/**
+ * 按检索顺序给文档编号（从 1 开始），返回新的 Document，不修改原对象
+ */
+export function labelDocuments(documents) {
+  return (Array.isArray(documents) ? documents : []).map(
+    (doc, i) =>
+      new Document({
+        pageContent: doc.pageContent,
+        metadata: {
+          ...doc.metadata,
+          citationIndex: i + 1,
+          citationLabel: formatLabel(doc.metadata),
+        },
+      })
+  );
+}
+
+function makeSnippet(text) {
+  const flat = String(text ?? "").replace(/\s+/g, " ").trim();
+  return flat.length > SNIPPET_LENGTH ? `${flat.slice(0, SNIPPET_LENGTH)}...` : flat;
+}
+
+/**
+ * 从回答中提取 [n] / [n, m] 形式的引用编号
+ */
+function extractCitedIndexes(answer) {
+  const cited = new Set();
+  for (const match of String(answer ?? "").matchAll(/\[(\d+(?:\s*[,，]\s*\d+)*)\]/g)) {
+    match[1].split(/[,，]/).forEach((n) => cited.add(Number(n.trim())));
+  }
+  return cited;
+}
+
+/**
+ * 生成结构化引用列表：每个检索到的 chunk 一条，cited 表示回答中是否出现了它的标记
+ */
+export function buildCitations(context, answer) {
+  const cited = extractCitedIndexes(answer);
+  return (Array.isArray(context) ? context : []).map((doc, i) => {
+    const index = doc?.metadata?.citationIndex ?? i + 1;
+    return {
+      index,
+      marker: `[${index}]`,
+      source: doc?.metadata?.source ?? null,
+      page: getPageNumber(doc?.metadata),
+      section: getHeadingPath(doc?.metadata),
+      snippet: makeSnippet(doc?.pageContent),
+      cited: cited.has(index),
+    };
+  });
+}
+
+/**
+ * CLI 输出用的一行引用说明
+ */
+export function formatCitation(citation) {
+  const page = citation.page !== null ? ` 第 ${citation.page} 页` : "";
+  const section = citation.section ? ` § ${citation.section}` : "";
+  return `${citation.marker} ${citation.source ?? "未知来源"}${page}${section}：${citation.snippet}`;
+}
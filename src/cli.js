@@ -7,99 +7,322 @@
  *   - ollama pull nomic-embed-text
  *   - ollama pull llama3.1
  * - npm run dev
+ *
+ * 非交互子命令（适合 cron / 脚本，见 cliArgs.js 的 USAGE）：
+ * - node src/cli.js ingest [--full|--incremental|--migrate]
+ * - node src/cli.js ask "问题" [--thread <id>] [--json]
+ * - node src/cli.js show [--limit N] / drop / stats / config
+ * - node src/cli.js sources / chunks <source> / grep <文本> / delete <source>（浏览与删除，见 browse.js）
+ * 每个子命令只初始化自己需要的服务；--json 时 stdout 只有一个 JSON 对象，日志写到 stderr
  */
 
-import path from "node:path";
 import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
 import readline from "node:readline";
-import { performance } from "node:perf_hooks";
-
-import { loadDocuments, splitDocuments } from "./loadDocs.js";
-import { buildOrLoadVectorStore, deleteVectorStore, showVectorStore } from "./buildVectorStore.js";
-import { ask, createRagGraph } from "./qa.js";
-import { config } from "./config.js";
-
-function time(label, fn) {
-  const start = performance.now();
-  console.log(`⏱️ [timing] ${label} start`);
-  return Promise.resolve()
-    .then(fn)
-    .then((res) => {
-      const costMs = performance.now() - start;
-      console.log(`⏱️ [timing] ${label} ${costMs.toFixed(1)}ms`);
-      return res;
+
+import {
+  deleteVectorStore,
+  describeVectorStore,
+  loadVectorStore,
+  prepareVectorStore,
+  showVectorStore,
+  vectorStoreExists,
+} from "./buildVectorStore.js";
+import { deleteManifest, loadManifest, migrateVectorStore, removeSource, syncVectorStore } from "./ingest.js";
+import { collectionStats, listSourceChunks, listSources, searchChunks } from "./browse.js";
+import { CollectionMismatchError, verifyCollectionMeta } from "./collectionMeta.js";
+import { ask, createRagGraph, deleteThread, getThread, listThreads, normalizeThreadId } from "./qa.js";
+import {
+  ROLE_LABELS,
+  exportThread,
+  formatTime,
+  listThreadSummaries,
+  messageRole,
+  messageText,
+  newThreadId,
+} from "./threads.js";
+import {
+  createKnowledgeBase,
+  deleteKnowledgeBase,
+  getKnowledgeBase,
+  listKnowledgeBases,
+} from "./knowledgeBases.js";
+import { getMemoryStore } from "./memoryStore.js";
+import { clearAnswerCache } from "./answerCache.js";
+import { formatCitation } from "./citations.js";
+import { formatAgentStep } from "./agent.js";
+import { formatFilter, parseFilter } from "./filters.js";
+import { checkModelsReady } from "./models.js";
+import { USAGE, cliArgs } from "./cliArgs.js";
+import { ConfigError, config, getEffectiveConfig, validateConfig } from "./config.js";
+import { logger, span } from "./logger.js";
+
+/**
+ * 启动时连接会话记忆存储并显示所用后端；全部不可用时仍可问答，只是不保存历史
+ */
+function openMemoryStore() {
+  return getMemoryStore().catch((err) => {
+    console.warn(`⚠️ 会话记忆不可用（${err?.message ?? err}），本次对话不会保存历史`);
+  });
+}
+
+/**
+ * 删除向量库与 manifest 后重新从文档目录构建
+ */
+function rebuildVectorStore(kb) {
+  return Promise.resolve(deleteVectorStore(kb))
+    .then(() => {
+      logger.info(`✅ 已删除向量库。现在会重新从 ${path.relative(process.cwd(), kb.docsDir) || "."} 构建...`);
     })
-    .catch((err) => {
-      const costMs = performance.now() - start;
-      console.log(`⏱️ [timing] ${label} ${costMs.toFixed(1)}ms error`);
-      throw err;
+    .catch(() => {
+      logger.warn("⚠️ 删除向量库失败或向量库不存在，将直接重建...");
+    })
+    .then(() => deleteManifest(kb))
+    .then(() => syncVectorStore(kb));
+}
+
+/**
+ * 用当前 embedding 模型重新向量化已有 chunk，再增量同步迁移期间变化的文件
+ */
+function migrateAndSync(kb) {
+  return migrateVectorStore(kb).then((res) => {
+    logger.info(`✅ 迁移完成：${res.sources} 个文件，${res.chunks} 块`);
+    return syncVectorStore(kb);
+  });
+}
+
+/**
+ * 启动阶段（主循环之前）读取一行输入；stdin 已结束时返回空字符串
+ */
+function askOnce(prompt) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.on("close", () => resolve(""));
+    rl.question(prompt, (answer) => {
+      resolve(answer);
+      rl.close();
     });
+  });
 }
 
-async function checkOllamaReady() {
-  const baseUrl = String(config.ollama.baseUrl || "").replace(/\/+$/, "");
-  const url = `${baseUrl}/api/tags`;
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), 5000);
-  try {
-    await fetch(url, { signal: controller.signal }).then((r) => r.json());
-    console.log(`✅ Ollama 可用: ${baseUrl}`);
-  } catch (e) {
-    console.error(`❌ Ollama 无响应: ${url}`);
-    throw e;
-  } finally {
-    clearTimeout(t);
-  }
+/**
+ * 向量库与当前 embedding 模型不兼容时询问处理方式：migrate / rebuild，其他输入放弃
+ */
+function resolveCollectionMismatch(kb, error, ask) {
+  console.error(`❌ ${error.message}`);
+  return ask("输入 migrate 迁移、rebuild 重建，其他输入放弃：").then((answer) => {
+    const choice = String(answer ?? "").trim().toLowerCase();
+    if (choice === "migrate") return migrateAndSync(kb);
+    if (choice === "rebuild") return rebuildVectorStore(kb);
+    throw error;
+  });
 }
 
-function ensureVectorStore() {
-  return time("loadDocuments", () => loadDocuments())
-    .then((docs) => {
-      docs.forEach(doc => {
-        doc.metadata.source = path.relative(process.cwd(), doc.metadata.source);
-      });
-      console.log(`✅ 已加载 ${docs.length} 个文档`);
-      return time("splitDocuments", () =>
-        splitDocuments(docs, {
-          chunkSize: config.documents.chunkSize,
-          chunkOverlap: config.documents.chunkOverlap,
-        })
-      );
-    })
-    .then((chunks) => {
-      console.log(`✅ 文档已切分为 ${chunks.length} 个块`);
-      return time("buildOrLoadVectorStore", () => buildOrLoadVectorStore(chunks));
+/**
+ * @param {(prompt: string) => Promise<string>} ask - 向量库不兼容时用于询问处理方式
+ */
+function ensureVectorStore(kb, ask) {
+  return span("syncVectorStore", () => syncVectorStore(kb))
+    .catch((error) =>
+      error instanceof CollectionMismatchError ? resolveCollectionMismatch(kb, error, ask) : Promise.reject(error)
+    )
+    .then((res) => {
+      console.log(`✅ 向量库已同步（新写入 ${res.chunks} 个块）`);
+      return res.vectorStore;
     })
     .catch((error) => {
-      console.error("📖 加载文档或构建向量库失败:", error);
+      console.error("📖 加载文档或构建向量库失败:", error instanceof CollectionMismatchError ? error.message : error);
       throw error;
     });
 }
 
-function main() {
-  time("checkOllamaReady", () => checkOllamaReady())
-    .then(() => time("ensureVectorStore", () => ensureVectorStore()))
-    .then((vectorStore) =>
-      time("createRagGraph", () =>
-        createRagGraph(vectorStore, {
-          topK: config.retrieval.topK,
-        })
-      )
-    )
+function printKnowledgeBases(currentName) {
+  listKnowledgeBases().forEach((kb) => {
+    const mark = kb.knowledgeBase === currentName ? "*" : " ";
+    const description = kb.description ? ` - ${kb.description}` : "";
+    console.log(`${mark} ${kb.knowledgeBase}${description}`);
+    console.log(
+      `    文档目录: ${path.relative(process.cwd(), kb.docsDir) || "."}，向量库: ${describeVectorStore(kb)}，` +
+        `chunk: ${kb.chunkSize}/${kb.chunkOverlap}，embedding: ${kb.embeddingModel}，chat: ${kb.chatModel}`
+    );
+  });
+}
+
+/**
+ * 删除知识库的同时清理它的会话记忆（会话存储不可用时只提示）
+ */
+function deleteKnowledgeBaseWithThreads(name) {
+  return deleteKnowledgeBase(name).then((kb) =>
+    listThreads(kb.knowledgeBase)
+      .then((threadIds) => Promise.all(threadIds.map((id) => deleteThread(id, kb.knowledgeBase))))
+      .catch((err) => {
+        console.warn("⚠️ 清理会话记忆失败:", err?.message ?? err);
+      })
+      .then(() => kb)
+  );
+}
+
+const THREAD_COMMANDS = ["/threads", "/switch", "/new", "/history", "/clear", "/export"];
+
+/**
+ * 会话命令：/threads 列出；/switch <id> 切换；/new 新建；/history 查看当前会话；/clear 清空当前会话；
+ * /export <id> [md|json] 导出。返回新的 state（需要切换会话时），否则返回 undefined
+ */
+function runThreadCommand(command, args, { kb, state }) {
+  const knowledgeBase = kb.knowledgeBase;
+  return Promise.resolve().then(() => {
+    if (command === "/threads") {
+      return listThreadSummaries(knowledgeBase).then((threads) => {
+        if (threads.length === 0) {
+          console.log(`ℹ️ 知识库 "${knowledgeBase}" 还没有会话。`);
+          return undefined;
+        }
+        console.log(`🧵 知识库 "${knowledgeBase}" 的会话（${threads.length} 个）：`);
+        threads.forEach((t) => {
+          const mark = t.threadId === state.threadId ? "*" : " ";
+          console.log(`${mark} ${t.threadId}  ${formatTime(t.updatedAt)}  ${t.messageCount} 条  ${t.preview}`);
+        });
+        return undefined;
+      });
+    }
+
+    if (command === "/switch") {
+      const [threadId] = args;
+      if (!threadId) throw new Error("用法: /switch <threadId>");
+      return getThread(threadId, knowledgeBase).then((thread) => {
+        console.log(
+          thread
+            ? `✅ 已切换到会话 "${threadId}"（${thread.messages.length} 条消息）`
+            : `✅ 已切换到新会话 "${threadId}"`
+        );
+        return { threadId, messages: [] };
+      });
+    }
+
+    if (command === "/new") {
+      const threadId = newThreadId();
+      console.log(`✅ 已新建会话 "${threadId}"`);
+      return { threadId, messages: [] };
+    }
+
+    if (command === "/history") {
+      return getThread(state.threadId, knowledgeBase).then((thread) => {
+        if (!thread || thread.messages.length === 0) {
+          console.log(`ℹ️ 会话 "${state.threadId}" 没有历史消息。`);
+          return undefined;
+        }
+        console.log(`📜 会话 "${state.threadId}"（更新于 ${formatTime(thread.updatedAt)}）：`);
+        thread.messages.forEach((m) => {
+          const role = messageRole(m);
+          console.log(`${ROLE_LABELS[role] ?? role}：${messageText(m).trim()}`);
+        });
+        return undefined;
+      });
+    }
+
+    if (command === "/clear") {
+      return deleteThread(state.threadId, knowledgeBase).then((deleted) => {
+        console.log(deleted ? `🗑️ 已清空会话 "${state.threadId}"` : `ℹ️ 会话 "${state.threadId}" 没有历史消息。`);
+        return { threadId: state.threadId, messages: [] };
+      });
+    }
+
+    // /export <id> [md|json]
+    const [threadId, format = "md"] = args;
+    if (!threadId) throw new Error("用法: /export <threadId> [md|json]");
+    return exportThread(threadId, format, { knowledgeBase }).then((filePath) => {
+      console.log(`📄 已导出会话 "${threadId}"：${path.relative(process.cwd(), filePath)}`);
+      return undefined;
+    });
+  });
+}
+
+/**
+ * 生效的配置（密钥已打码）以及来自 profile / 环境变量的覆盖项
+ */
+function formatConfig({ file, profile, config: effective, sources }) {
+  const lines = [`📄 配置文件：${file ?? "（不存在，使用默认值）"}`, `🏷️ Profile：${profile ?? "（未使用）"}`];
+  if (sources.length > 0) {
+    lines.push("🔧 覆盖项：", ...sources.map((s) => `  ${s.path} ← ${s.source}`));
+  }
+  lines.push(JSON.stringify(effective, null, 2));
+  return lines.join("\n");
+}
+
+/**
+ * show 的输出：每条记录逐字段列出，过长的文本截断
+ */
+function formatRows(rows) {
+  return rows
+    .map((item, index) => {
+      const fields = Object.keys(item).map((key) => {
+        let value = item[key];
+        if (typeof value === "string" && value.length > 200) {
+          value = value.substring(0, 200) + "...";
+        }
+        return `${key}: ${value}`;
+      });
+      return [`\n--- [ 记录 ${index + 1} ] ---`, ...fields].join("\n");
+    })
+    .join("\n");
+}
+
+/**
+ * chunks 的输出：每个块一段，标题行为编号、主键、页码与字数，文本完整输出
+ */
+function formatChunkPage(page) {
+  const { source, total, offset, chunks } = page;
+  const lines = [`📄 ${source}：第 ${offset + 1}-${offset + chunks.length} 块，共 ${total} 块`];
+  chunks.forEach((chunk) => {
+    const pageNo = chunk.page ? ` · 第 ${chunk.page} 页` : "";
+    lines.push(`\n--- [${chunk.position}] pk=${chunk.pk}${pageNo} · ${chunk.chars} 字 ---`, chunk.text);
+  });
+  if (offset + chunks.length < total) lines.push(`\nℹ️ 下一页：--offset ${offset + chunks.length}`);
+  return lines.join("\n");
+}
+
+function formatCitations(citations) {
+  // 优先展示回答中实际引用的片段，没有标注时列出全部检索结果
+  const cited = citations.filter((c) => c.cited);
+  const shown = cited.length > 0 ? cited : citations;
+  if (shown.length === 0) return "";
+  return [cited.length > 0 ? "📎 引用来源：" : "📎 参考资料：", ...shown.map((c) => `  ${formatCitation(c)}`)].join("\n");
+}
+
+/**
+ * @param {string} threadId - 初始会话（已经过 normalizeThreadId 校验）
+ */
+function runChat(kb, threadId) {
+  span("checkModelsReady", () => checkModelsReady())
+    .then(() => span("memoryStore", () => openMemoryStore()))
+    .then(() => span("ensureVectorStore", () => ensureVectorStore(kb, askOnce)))
+    .then((vectorStore) => span("createRagGraph", () => createRagGraph(kb.knowledgeBase, { vectorStore })))
     .then((ragApp) => {
       const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
       let isClosed = false;
       rl.on("close", () => {
         isClosed = true;
       });
-      const threadId = String(process.env.THREAD_ID || "default");
+      const askLine = (prompt) => new Promise((resolve) => rl.question(prompt, resolve));
+      // 当前会话；/switch、/new 切换，/kb switch 后沿用同一个 threadId
       let state = { threadId, messages: [] };
+      // /filter 设置的检索范围，对之后的每个问题生效
+      let filter = null;
+      // /agent on|off 切换的回答模式，对之后的每个问题生效
+      let agentMode = config.agent.enabled;
 
-      console.log("本地知识库 RAG CLI 已启动。输入问题；exit 退出；rebuild 重建索引。");
+      const docsLabel = () => path.relative(process.cwd(), kb.docsDir) || ".";
+
+      console.log(
+        `本地知识库 RAG CLI 已启动（知识库：${kb.knowledgeBase}）。输入问题；exit 退出；sync 增量同步；rebuild 重建索引；` +
+          "migrate 用当前 embedding 模型重新向量化；" +
+          "/filter key=value 限定检索范围；/agent on|off 切换多步检索；/kb 管理知识库；/threads 管理会话；/config 查看配置。"
+      );
 
       const loop = () => {
         if (isClosed) return;
-        rl.question("你：", (input) => {
+        rl.question(`你[${kb.knowledgeBase}/${state.threadId}]：`, (input) => {
           if (isClosed) return;
           const q = input.trim();
           if (!q) return loop();
@@ -109,24 +332,134 @@ function main() {
             return;
           }
 
+          const [command, ...args] = q.split(/\s+/);
+          if (THREAD_COMMANDS.includes(command)) {
+            runThreadCommand(command, args, { kb, state })
+              .then((next) => {
+                // 切换 / 新建 / 清空会话后丢弃内存中的消息，下一轮由 hydrate 从会话存储恢复
+                if (next) state = next;
+              })
+              .catch((err) => {
+                console.error("❌ 会话操作失败:", err.message);
+              })
+              .finally(() => {
+                loop();
+              });
+            return;
+          }
+
+          if (q === "/kb" || q.startsWith("/kb ")) {
+            // /kb [list] 列出；/kb create <名称> [文档目录]；/kb switch <名称>；/kb delete <名称>
+            const [action = "list", name, docsDir] = q.slice("/kb".length).trim().split(/\s+/).filter(Boolean);
+            Promise.resolve()
+              .then(() => {
+                if (action === "list") {
+                  printKnowledgeBases(kb.knowledgeBase);
+                  return undefined;
+                }
+                if (!name) {
+                  throw new Error(`用法: /kb ${action} <名称>`);
+                }
+                if (action === "create") {
+                  return createKnowledgeBase(name, docsDir ? { docsDir } : {}).then((created) => {
+                    console.log(
+                      `✅ 已创建知识库 "${created.knowledgeBase}"：把文档放入 ${path.relative(process.cwd(), created.docsDir)}，` +
+                        `然后 /kb switch ${created.knowledgeBase}`
+                    );
+                  });
+                }
+                if (action === "switch") {
+                  const next = getKnowledgeBase(name);
+                  console.log(`🔄 正在切换到知识库 "${next.knowledgeBase}"...`);
+                  return ensureVectorStore(next, askLine)
+                    .then((vectorStore) => createRagGraph(next.knowledgeBase, { vectorStore }))
+                    .then((newApp) => {
+                      ragApp = newApp;
+                      kb = next;
+                      // 会话绑定在知识库上：切换后从该知识库的同名会话继续；过滤条件不再适用
+                      state = { threadId: state.threadId, messages: [] };
+                      filter = null;
+                      console.log(`✅ 已切换到知识库 "${kb.knowledgeBase}"`);
+                    });
+                }
+                if (action === "delete") {
+                  if (name === kb.knowledgeBase) {
+                    throw new Error("不能删除当前正在使用的知识库，请先 /kb switch 到其他知识库");
+                  }
+                  return deleteKnowledgeBaseWithThreads(name).then((deleted) => {
+                    console.log(
+                      `🗑️ 已删除知识库 "${deleted.knowledgeBase}"（文档目录 ${path.relative(process.cwd(), deleted.docsDir)} 已保留）`
+                    );
+                  });
+                }
+                throw new Error(`未知的 /kb 子命令: ${action}（可选：list / create / switch / delete）`);
+              })
+              .catch((err) => {
+                console.error("❌ 知识库操作失败:", err.message);
+              })
+              .finally(() => {
+                loop();
+              });
+            return;
+          }
+
+          if (q === "/cache clear") {
+            clearAnswerCache(kb)
+              .then((cleared) => {
+                console.log(cleared ? `🧹 已清空知识库 "${kb.knowledgeBase}" 的回答缓存` : "ℹ️ 回答缓存为空");
+              })
+              .catch((err) => {
+                console.error("❌ 清空回答缓存失败:", err.message);
+              })
+              .finally(() => {
+                loop();
+              });
+            return;
+          }
+
+          if (q === "/filter" || q.startsWith("/filter ")) {
+            // /filter 查看当前条件；/filter clear 清除；/filter source=.docs/x.pdf type=pdf 设置
+            const arg = q.slice("/filter".length).trim();
+            try {
+              if (arg.toLowerCase() === "clear") {
+                filter = null;
+              } else if (arg) {
+                filter = parseFilter(arg);
+              }
+              console.log(`🔎 当前过滤条件：${formatFilter(filter)}`);
+            } catch (err) {
+              console.error("❌ 过滤条件无效:", err.message);
+            }
+            return loop();
+          }
+
+          if (q === "/config") {
+            console.log(formatConfig(getEffectiveConfig()));
+            return loop();
+          }
+
+          if (q === "/agent" || q.startsWith("/agent ")) {
+            // /agent 查看当前模式；/agent on 开启多步检索；/agent off 恢复单次检索
+            const arg = q.slice("/agent".length).trim().toLowerCase();
+            if (arg === "on" || arg === "off") {
+              agentMode = arg === "on";
+            } else if (arg) {
+              console.error("❌ 用法：/agent [on|off]");
+              return loop();
+            }
+            console.log(`🤖 Agent 模式：${agentMode ? "开启（多步检索）" : "关闭（单次检索）"}`);
+            return loop();
+          }
+
           if (q.toLowerCase() === "show") {
             console.log("🔍 正在查询向量数据库内容...");
-            showVectorStore()
+            showVectorStore(kb)
               .then((data) => {
                 if (data.length === 0) {
                   console.log("ℹ️ 数据库为空，没有可显示的内容。");
                 } else {
                   console.log(`✅ 查询到 ${data.length} 条记录 (最多显示 5 条):`);
-                  data.forEach((item, index) => {
-                    console.log(`\n--- [ 记录 ${index + 1} ] ---`);
-                    Object.keys(item).forEach(key => {
-                      let value = item[key];
-                      if (typeof value === 'string' && value.length > 200) {
-                        value = value.substring(0, 200) + '...';
-                      }
-                      console.log(`${key}: ${value}`);
-                    });
-                  });
+                  console.log(formatRows(data));
                 }
               })
               .catch((err) => {
@@ -138,34 +471,35 @@ function main() {
             return;
           }
 
-          if (q.toLowerCase() === "rebuild") {
-            console.log("正在删除 Milvus collection 并重建...");
-            Promise.resolve(deleteVectorStore())
-              .then(() => {
-                console.log("✅ 已删除 Milvus collection。现在会重新从 .docs 构建...");
+          if (q.toLowerCase() === "sync") {
+            console.log(`🔄 正在增量同步 ${docsLabel()} ...`);
+            syncVectorStore(kb)
+              .then((res) => {
+                console.log(
+                  `✅ 同步完成：新增 ${res.added.length}，修改 ${res.modified.length}，删除 ${res.deleted.length}，写入 ${res.chunks} 个块` +
+                    (res.failed.length > 0 ? `，${res.failed.length} 个文件失败` : "")
+                );
+                // 重建 Graph，使 BM25 等基于全量 chunk 的索引与向量库保持一致
+                return createRagGraph(kb.knowledgeBase, { vectorStore: res.vectorStore });
               })
-              .catch(() => {
-                console.log("⚠️ 删除 collection 失败或 collection 不存在，将直接重建...");
+              .then((newApp) => {
+                ragApp = newApp;
               })
-              .then(() => {
-            loadDocuments()
-              .then((docs) => {
-                docs.forEach(doc => {
-                  doc.metadata.source = path.relative(process.cwd(), doc.metadata.source);
-                });
-                return splitDocuments(docs, {
-                  chunkSize: config.documents.chunkSize,
-                  chunkOverlap: config.documents.chunkOverlap,
-                })
+              .catch((err) => {
+                console.error("同步失败：", err);
               })
-              .then((chunks) => buildOrLoadVectorStore(chunks))
-              .then((vs) =>
-                createRagGraph(vs, {
-                  topK: config.retrieval.topK,
-                })
-              )
+              .finally(() => {
+                loop();
+              });
+            return;
+          }
+
+          if (q.toLowerCase() === "rebuild") {
+            console.log("正在删除向量库并重建...");
+            rebuildVectorStore(kb)
+              .then((res) => createRagGraph(kb.knowledgeBase, { vectorStore: res.vectorStore }))
               .then((newApp) => {
-                ragApp.invoke = newApp.invoke.bind(newApp);
+                ragApp = newApp;
                 console.log("重建完成。");
                 loop();
               })
@@ -173,18 +507,56 @@ function main() {
                 console.error("重建失败：", err);
                 loop();
               });
-
             return;
+          }
+
+          if (q.toLowerCase() === "migrate") {
+            console.log("正在用当前 embedding 模型迁移向量库...");
+            migrateAndSync(kb)
+              .then((res) => createRagGraph(kb.knowledgeBase, { vectorStore: res.vectorStore }))
+              .then((newApp) => {
+                ragApp = newApp;
+              })
+              .catch((err) => {
+                console.error("迁移失败：", err);
+              })
+              .finally(() => {
+                loop();
               });
             return;
           }
 
-          ask(ragApp, state, q)
+          // agent 模式先逐步打印思考与工具调用，最终回答开始输出时再打印“助手：”
+          let answering = !agentMode;
+          if (agentMode) console.log("🤖 Agent 步骤：");
+          else process.stdout.write("助手：");
+          ask(ragApp, state, q, {
+            filter,
+            agent: agentMode,
+            onAgentStep: (step) => {
+              console.log(formatAgentStep(step));
+            },
+            onToken: (token) => {
+              if (!answering) {
+                answering = true;
+                process.stdout.write("助手：");
+              }
+              process.stdout.write(token);
+            },
+          })
             .then((res) => {
               state = res.state;
-              console.log(`助手：${res.answer}`);
+              process.stdout.write("\n");
+              if (res.cached) {
+                console.log(
+                  `⚡ 来自缓存（相似问题：“${res.cached.question}”，相似度 ${res.cached.similarity.toFixed(3)}）`
+                );
+              }
+              const citations = formatCitations(res.citations);
+              if (citations) console.log(citations);
             })
             .catch((err) => {
+              process.stdout.write("\n");
               console.error("发生错误：", err);
             })
             .finally(() => {
@@ -197,7 +569,278 @@ function main() {
     })
     .catch((err) => {
       console.error("初始化失败：", err);
-      process.exit(1);
+      process.exit(EXIT_FAILURE);
+    });
+}
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_MISMATCH = 3;
+const EXIT_CONFIG = 4;
+
+class UsageError extends Error {}
+
+/**
+ * 只读命令使用已有的向量库：不存在时报错，不会自动同步
+ * verify 为 false 时不校验 embedding 模型（浏览与删除不计算向量，模型不兼容时也可以使用）
+ */
+async function openExistingVectorStore(kb, { verify = true } = {}) {
+  const vectorStore = await loadVectorStore(kb);
+  if (!(await vectorStoreExists(vectorStore))) {
+    throw new Error(`向量库 "${describeVectorStore(kb)}" 不存在，请先执行 ingest`);
+  }
+  if (verify) await verifyCollectionMeta(vectorStore, kb);
+  await prepareVectorStore(vectorStore);
+  return vectorStore;
+}
+
+function parseIntOption(value, name, min = 1) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) {
+    throw new UsageError(`--${name} 必须是${min === 0 ? "非负" : "正"}整数，实际为 "${value}"`);
+  }
+  return n;
+}
+
+/**
+ * 非交互子命令：返回 { exitCode?, json（--json 时输出的结果）, text（默认输出） }
+ */
+const COMMAND_HANDLERS = {
+  // 只需要 embedding 与向量库
+  ingest: (kb, args) => {
+    const modes = ["full", "incremental", "migrate"].filter((m) => args.flags.has(m));
+    if (modes.length > 1) throw new UsageError("--full / --incremental / --migrate 只能选择一个");
+    const mode = modes[0] ?? "incremental";
+    const run = { full: rebuildVectorStore, migrate: migrateAndSync, incremental: syncVectorStore }[mode];
+    return run(kb).then(({ vectorStore, ...res }) => ({
+      exitCode: res.failed.length > 0 ? EXIT_FAILURE : EXIT_OK,
+      json: { knowledgeBase: kb.knowledgeBase, store: describeVectorStore(kb), mode, ...res },
+      text: [
+        `✅ 同步完成：新增 ${res.added.length}，修改 ${res.modified.length}，删除 ${res.deleted.length}，写入 ${res.chunks} 个块`,
+        ...res.skipped.map((f) => `⏭️ 跳过 ${f.source}：${f.reason}`),
+        ...res.failed.map((f) => `❌ 失败 ${f.source}：${f.error}`),
+      ].join("\n"),
+    }));
+  },
+
+  // 需要模型、已有的向量库与会话记忆
+  ask: async (kb, args, { json }) => {
+    const question = args.positionals.join(" ").trim();
+    if (!question) throw new UsageError('ask 需要一个问题，例如：ask "年假有几天？"');
+    let filter;
+    try {
+      filter = parseFilter(args.options.filter);
+    } catch (err) {
+      throw new UsageError(err.message);
+    }
+    const agent = args.flags.has("agent") ? true : args.flags.has("no-agent") ? false : undefined;
+    let threadId;
+    try {
+      threadId = normalizeThreadId(args.options.thread || process.env.THREAD_ID);
+    } catch (err) {
+      throw new UsageError(err.message);
+    }
+
+    await openMemoryStore();
+    const vectorStore = await openExistingVectorStore(kb);
+    const ragApp = await createRagGraph(kb.knowledgeBase, { vectorStore });
+    // 非 JSON 输出时回答直接流式写到 stdout
+    const onToken = json ? undefined : (token) => process.stdout.write(token);
+    const res = await ask(ragApp, { threadId, messages: [] }, question, { filter, agent, onToken });
+    return {
+      json: {
+        knowledgeBase: kb.knowledgeBase,
+        threadId,
+        question,
+        query: res.query,
+        answer: res.answer,
+        cached: res.cached,
+        citations: res.citations,
+        trace: res.trace,
+        traceId: res.traceId,
+      },
+      text: ["", formatCitations(res.citations)].join("\n"),
+    };
+  },
+
+  // 只需要向量库
+  show: (kb, args) => {
+    const limit = args.options.limit === undefined ? 5 : parseIntOption(args.options.limit, "limit");
+    return showVectorStore({ ...kb, limit }).then((rows) => ({
+      json: { knowledgeBase: kb.knowledgeBase, store: describeVectorStore(kb), rows },
+      text: rows.length === 0 ? "ℹ️ 数据库为空，没有可显示的内容。" : `✅ 查询到 ${rows.length} 条记录：\n${formatRows(rows)}`,
+    }));
+  },
+
+  sources: async (kb) => {
+    const store = describeVectorStore(kb);
+    const sources = await listSources(await openExistingVectorStore(kb, { verify: false }));
+    const chunks = sources.reduce((n, s) => n + s.chunks, 0);
+    const width = Math.max(0, ...sources.map((s) => s.source.length));
+    return {
+      json: { knowledgeBase: kb.knowledgeBase, store, chunks, sources },
+      text: [
+        `📚 知识库 ${kb.knowledgeBase}（${store}）：${sources.length} 个文件，${chunks} 个块`,
+        ...sources.map((s) => `  ${s.source.padEnd(width)}  ${s.chunks} 块，${s.chars} 字`),
+      ].join("\n"),
+    };
+  },
+
+  chunks: async (kb, args) => {
+    const [source] = args.positionals;
+    if (!source) throw new UsageError("chunks 需要一个 source，例如：chunks .docs/a.pdf（可用 sources 查看）");
+    const offset = args.options.offset === undefined ? 0 : parseIntOption(args.options.offset, "offset", 0);
+    const limit = args.options.limit === undefined ? 10 : parseIntOption(args.options.limit, "limit");
+    const page = await listSourceChunks(await openExistingVectorStore(kb, { verify: false }), source, { offset, limit });
+    if (page.total === 0) throw new Error(`向量库中没有 source 为 "${source}" 的块，可用 sources 查看`);
+    return {
+      json: { knowledgeBase: kb.knowledgeBase, store: describeVectorStore(kb), ...page },
+      text: page.chunks.length === 0 ? `ℹ️ ${source} 共 ${page.total} 块，--offset 超出范围` : formatChunkPage(page),
+    };
+  },
+
+  grep: async (kb, args) => {
+    const query = args.positionals.join(" ");
+    if (!query.trim()) throw new UsageError('grep 需要搜索的文本，例如：grep "年假"');
+    const limit = args.options.limit === undefined ? 20 : parseIntOption(args.options.limit, "limit");
+    const vectorStore = await openExistingVectorStore(kb, { verify: false });
+    const res = await searchChunks(vectorStore, query, { source: args.options.source, limit });
+    const shown = res.matches.length < res.total ? `（显示前 ${res.matches.length} 个）` : "";
+    return {
+      json: { knowledgeBase: kb.knowledgeBase, store: describeVectorStore(kb), ...res },
+      text: [
+        `🔎 "${query}"：${res.total} 个块命中${shown}`,
+        ...res.matches.map((m) => `  ${m.source} [${m.position}]（${m.occurrences} 处）：${m.snippet}`),
+      ].join("\n"),
+    };
+  },
+
+  delete: async (kb, args) => {
+    const [source] = args.positionals;
+    if (!source) throw new UsageError("delete 需要一个 source，例如：delete .docs/a.pdf（可用 sources 查看）");
+    const res = await removeSource(await openExistingVectorStore(kb, { verify: false }), source, kb);
+    if (res.deleted === 0 && !res.manifest) {
+      throw new Error(`向量库中没有 source 为 "${source}" 的块，可用 sources 查看`);
+    }
+    // 文件还在文档目录中时，下次增量同步会重新写入
+    const fileExists = fs.existsSync(path.resolve(process.cwd(), source));
+    return {
+      json: { knowledgeBase: kb.knowledgeBase, store: describeVectorStore(kb), ...res, fileExists },
+      text: [
+        `🗑️ 已删除 ${source} 的 ${res.deleted} 个块`,
+        fileExists ? "ℹ️ 文件仍在文档目录中，下次 ingest 会重新写入；要永久移除请同时删除文件" : null,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    };
+  },
+
+  drop: (kb) =>
+    Promise.resolve(deleteVectorStore(kb))
+      .then(() => deleteManifest(kb))
+      .then(() => ({
+        json: { knowledgeBase: kb.knowledgeBase, store: describeVectorStore(kb), dropped: true },
+        text: `🗑️ 已删除向量库 ${describeVectorStore(kb)} 与 manifest`,
+      })),
+
+  stats: async (kb) => {
+    const store = describeVectorStore(kb);
+    const vectorStore = await loadVectorStore(kb);
+    const stats = await collectionStats(vectorStore);
+    const manifest = await loadManifest(kb);
+    const result = {
+      knowledgeBase: kb.knowledgeBase,
+      store,
+      ...stats,
+      // manifest 属于其他向量库（切换过后端）时不计入
+      manifest:
+        manifest && manifest.store === store
+          ? { files: Object.keys(manifest.files).length, updatedAt: manifest.updatedAt ?? null }
+          : null,
+    };
+    const { index, meta } = stats;
+    const indexParams = index && Object.keys(index.params ?? {}).length > 0 ? ` ${JSON.stringify(index.params)}` : "";
+    return {
+      json: result,
+      text: [
+        `📊 知识库 ${kb.knowledgeBase}（${store}）`,
+        stats.exists
+          ? `  ${stats.sources} 个文件，${stats.chunks} 行（块），向量维度 ${stats.dimension ?? "未知"}`
+          : "  向量库不存在",
+        index ? `  索引 ${index.type ?? "未知"}，度量 ${index.metric ?? "未知"}${indexParams}` : null,
+        meta ? `  embedding 模型 ${meta.embeddingModel}，chunk ${meta.chunkSize}/${meta.chunkOverlap}` : null,
+        result.manifest
+          ? `  manifest：${result.manifest.files} 个文件，更新于 ${formatTime(result.manifest.updatedAt)}`
+          : "  manifest：无",
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    };
+  },
+
+  // 不连接任何服务
+  config: () => {
+    const effective = getEffectiveConfig();
+    return { json: effective, text: formatConfig(effective) };
+  },
+};
+
+/**
+ * 输出结果后退出（等待 stdout 写完；Redis / Milvus 连接不会阻止退出）
+ */
+function finish(exitCode, output) {
+  if (!output) process.exit(exitCode);
+  process.stdout.write(`${output}\n`, () => process.exit(exitCode));
+}
+
+function main() {
+  if (cliArgs.flags.has("help")) return finish(EXIT_OK, USAGE);
+  if (cliArgs.error) {
+    console.error(`❌ ${cliArgs.error}\n\n${USAGE}`);
+    return finish(EXIT_USAGE);
+  }
+
+  const json = cliArgs.flags.has("json");
+  Promise.resolve()
+    .then(() => {
+      validateConfig();
+      let kb;
+      try {
+        kb = getKnowledgeBase(cliArgs.options.kb);
+      } catch (err) {
+        throw new UsageError(err.message);
+      }
+      if (cliArgs.command === "chat") {
+        // 与 ask --thread 相同的校验，在连接模型与向量库之前报错
+        let threadId;
+        try {
+          threadId = normalizeThreadId(process.env.THREAD_ID);
+        } catch (err) {
+          throw new UsageError(err.message);
+        }
+        return runChat(kb, threadId);
+      }
+      return Promise.resolve(COMMAND_HANDLERS[cliArgs.command](kb, cliArgs, { json })).then(
+        ({ exitCode = EXIT_OK, ...res }) =>
+          finish(exitCode, json ? JSON.stringify({ ok: exitCode === EXIT_OK, ...res.json }, null, 2) : res.text)
+      );
+    })
+    .catch((err) => {
+      const exitCode =
+        err instanceof UsageError
+          ? EXIT_USAGE
+          : err instanceof CollectionMismatchError
+            ? EXIT_MISMATCH
+            : err instanceof ConfigError
+              ? EXIT_CONFIG
+              : EXIT_FAILURE;
+      if (json) {
+        const body = { ok: false, error: err?.message ?? String(err), mismatches: err?.mismatches, errors: err?.errors };
+        return finish(exitCode, JSON.stringify(body, null, 2));
+      }
+      console.error(`❌ ${err?.message ?? err}`);
+      return finish(exitCode);
     });
 }
 
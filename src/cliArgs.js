@@ -0,0 +1,101 @@
+/**
+ * CLI 参数解析
+ *
+ * 非交互子命令（除 chat 外）的 stdout 只输出命令结果（--json 时为一个 JSON 对象），
+ * 进度与日志经 logger 写到 stderr，见 cli.js 的 finish。
+ */
+
+/**
+ * 各子命令接受的参数：flags 为开关，options 为带值的参数，positional 为位置参数的个数上限
+ */
+const COMMANDS = {
+  chat: { flags: [], options: [], positional: 0 },
+  ingest: { flags: ["full", "incremental", "migrate"], options: [], positional: 0 },
+  ask: { flags: ["agent", "no-agent"], options: ["thread", "filter"], positional: Infinity },
+  show: { flags: [], options: ["limit"], positional: 0 },
+  drop: { flags: [], options: [], positional: 0 },
+  sources: { flags: [], options: [], positional: 0 },
+  chunks: { flags: [], options: ["offset", "limit"], positional: 1 },
+  grep: { flags: [], options: ["source", "limit"], positional: Infinity },
+  delete: { flags: [], options: [], positional: 1 },
+  stats: { flags: [], options: [], positional: 0 },
+  config: { flags: [], options: [], positional: 0 },
+};
+
+// 所有子命令通用（--profile 由 config.js 读取，这里只负责跳过）
+const GLOBAL_FLAGS = ["json", "help"];
+const GLOBAL_OPTIONS = ["kb", "profile"];
+
+export const USAGE = `用法: node src/cli.js [命令] [参数]
+
+命令：
+  chat                              交互式问答（默认）
+  ingest [--full|--incremental|--migrate]
+                                    同步文档目录：增量（默认）/ 删除后重建 / 用当前 embedding 模型迁移
+  ask <问题> [--thread <id>] [--filter <条件>] [--agent|--no-agent]
+                                    单次问答，使用并更新指定会话的记忆
+  show [--limit <N>]                查看向量库中的前 N 条记录（默认 5）
+  sources                           列出已写入的文件及各自的块数
+  chunks <source> [--offset <N>] [--limit <N>]
+                                    分页查看某个文件的全部块（默认每页 10 个）
+  grep <文本> [--source <source>] [--limit <N>]
+                                    按子串搜索块（不区分大小写，默认显示前 20 个）
+  delete <source>                   删除某个文件的全部块，并从 manifest 中移除
+  drop                              删除向量库与 manifest
+  stats                             向量库（行数、维度、索引类型与度量）与 manifest 统计
+  config                            输出生效的配置（密钥已打码）
+
+通用参数：
+  --kb <名称>                       知识库（默认 config.knowledgeBase）
+  --profile <名称>                  配置 profile（dev / prod / offline 或 config.json 中的 profiles）
+  --json                            以 JSON 输出结果（chat 除外）
+  --help                            显示本帮助
+
+退出码：0 成功；1 执行失败（含部分文件同步失败）；2 参数错误；3 向量库与当前 embedding 模型不兼容；4 配置错误`;
+
+/**
+ * @returns {{ command, flags: Set<string>, options: Object, positionals: string[], error: string|null }}
+ */
+export function parseArgs(argv) {
+  const args = { command: "chat", flags: new Set(), options: {}, positionals: [], error: null };
+  let rest = argv;
+  if (rest.length > 0 && !rest[0].startsWith("--")) {
+    args.command = rest[0];
+    rest = rest.slice(1);
+  }
+  const spec = COMMANDS[args.command];
+  if (!spec) {
+    args.error = `未知命令: ${args.command}`;
+    return args;
+  }
+
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    if (!arg.startsWith("--")) {
+      args.positionals.push(arg);
+      continue;
+    }
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (GLOBAL_FLAGS.includes(name) || spec.flags.includes(name)) {
+      args.flags.add(name);
+    } else if (GLOBAL_OPTIONS.includes(name) || spec.options.includes(name)) {
+      const value = inlineValue ?? rest[i + 1];
+      if (inlineValue === undefined) i += 1;
+      if (value === undefined || (inlineValue === undefined && value.startsWith("--"))) {
+        args.error = `参数 --${name} 缺少值`;
+        return args;
+      }
+      args.options[name] = value;
+    } else {
+      args.error = `命令 ${args.command} 不支持参数: ${arg}`;
+      return args;
+    }
+  }
+
+  if (args.positionals.length > spec.positional) {
+    args.error = `命令 ${args.command} 不接受参数: ${args.positionals.join(" ")}`;
+  }
+  return args;
+}
+
+export const cliArgs = parseArgs(process.argv.slice(2));
@@ -0,0 +1,140 @@
+/**
+ * 向量库元数据：创建 collection 时记录 embedding 模型、向量维度、切分参数与 schema 版本，加载时校验
+ *
+ * {
+ *   schemaVersion: 1,
+ *   embeddingModel: "ollama:nomic-embed-text",
+ *   dimension: 768,
+ *   chunkSize: 1000,
+ *   chunkOverlap: 200,
+ *   splitters: { md: "markdown", ... },
+ *   createdAt: 1700000000000
+ * }
+ *
+ * - schema 版本、embedding 模型或维度不一致：向量空间不兼容，抛出 CollectionMismatchError，
+ *   需要 migrate（用当前模型重新向量化已有 chunk）或 rebuild（重新加载并切分文档）
+ * - 切分参数不一致：已有向量仍可检索，只提示新旧 chunk 的切分方式不同，rebuild 后统一
+ * - 校验时用当前模型算一次向量得到维度，与记录的维度比较
+ * - 旧版本创建、没有元数据的向量库：用当前模型算一次向量核对维度，一致则按当前配置补写元数据
+ */
+
+import {
+  describeVectorStore,
+  getCollectionDimension,
+  readCollectionMeta,
+  writeCollectionMeta,
+} from "./buildVectorStore.js";
+import { describeModel } from "./models.js";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+
+export const COLLECTION_SCHEMA_VERSION = 1;
+
+const FIELD_LABELS = {
+  schemaVersion: "schema 版本",
+  embeddingModel: "embedding 模型",
+  dimension: "向量维度",
+  chunkSize: "chunkSize",
+  chunkOverlap: "chunkOverlap",
+  splitters: "切分策略",
+};
+
+export class CollectionMismatchError extends Error {
+  /**
+   * @param {string} store - 向量库标识
+   * @param {Array<{ field, stored, expected }>} mismatches - 不兼容的字段
+   */
+  constructor(store, mismatches) {
+    const lines = mismatches.map(
+      (m) => `  - ${FIELD_LABELS[m.field]}：向量库为 ${formatValue(m.stored)}，当前配置为 ${formatValue(m.expected)}`
+    );
+    super(
+      `向量库 "${store}" 与当前配置不兼容：\n${lines.join("\n")}\n` +
+        "可执行 migrate（用当前 embedding 模型重新向量化已有 chunk）或 rebuild（重新加载并切分文档）"
+    );
+    this.name = "CollectionMismatchError";
+    this.store = store;
+    this.mismatches = mismatches;
+  }
+}
+
+function formatValue(value) {
+  return value && typeof value === "object" ? JSON.stringify(value) : String(value ?? "（未记录）");
+}
+
+/**
+ * 按当前配置（知识库 options）生成的元数据；dimension 由调用方根据实际向量填入
+ */
+export function expectedCollectionMeta(options = {}, dimension = null) {
+  return {
+    schemaVersion: COLLECTION_SCHEMA_VERSION,
+    embeddingModel: describeModel("embedding", options),
+    dimension,
+    chunkSize: Number(options.chunkSize ?? config.documents.chunkSize),
+    chunkOverlap: Number(options.chunkOverlap ?? config.documents.chunkOverlap),
+    splitters: options.splitters ?? config.documents.splitters,
+  };
+}
+
+/**
+ * 对比已保存的元数据与当前配置
+ * @returns {{ errors: Array<{ field, stored, expected }>, warnings: Array<{ field, stored, expected }> }}
+ */
+export function compareCollectionMeta(stored, expected) {
+  const differs = (field) => JSON.stringify(stored[field]) !== JSON.stringify(expected[field]);
+  const pick = (fields) =>
+    fields.filter(differs).map((field) => ({ field, stored: stored[field], expected: expected[field] }));
+
+  // 当前模型的维度要请求一次 embedding 才知道，调用方只在模型相同时填入；为 null 时不比较
+  const errors = pick(["schemaVersion", "embeddingModel"]);
+  if (expected.dimension != null) errors.push(...pick(["dimension"]));
+  return { errors, warnings: pick(["chunkSize", "chunkOverlap", "splitters"]) };
+}
+
+function probeDimension(vectorStore) {
+  return vectorStore.embeddings.embedQuery("dimension probe").then((vector) => vector.length);
+}
+
+/**
+ * 向量库写入数据后记录元数据（已有元数据时保持不变，元数据描述的是创建时的配置）
+ */
+export async function recordCollectionMeta(vectorStore, options = {}) {
+  if (await readCollectionMeta(vectorStore)) return;
+  const dimension = await getCollectionDimension(vectorStore);
+  await writeCollectionMeta(vectorStore, { ...expectedCollectionMeta(options, dimension), createdAt: Date.now() });
+}
+
+/**
+ * 校验已有向量库与当前配置是否兼容，不兼容时抛出 CollectionMismatchError
+ */
+export async function verifyCollectionMeta(vectorStore, options = {}) {
+  const store = describeVectorStore(options);
+  const stored = await readCollectionMeta(vectorStore);
+
+  if (!stored) {
+    const dimension = await getCollectionDimension(vectorStore);
+    const probed = await probeDimension(vectorStore);
+    if (dimension && probed !== dimension) {
+      throw new CollectionMismatchError(store, [{ field: "dimension", stored: dimension, expected: probed }]);
+    }
+    await writeCollectionMeta(vectorStore, { ...expectedCollectionMeta(options, dimension), createdAt: Date.now() });
+    logger.info(`ℹ️ 向量库 "${store}" 没有元数据，已按当前配置补写（维度 ${dimension}）`);
+    return;
+  }
+
+  const expected = expectedCollectionMeta(options);
+  // 模型名称相同也可能维度不同（如同名模型被替换），用当前模型算一次向量核对
+  if (stored.embeddingModel === expected.embeddingModel) {
+    expected.dimension = await probeDimension(vectorStore);
+  }
+  const { errors, warnings } = compareCollectionMeta(stored, expected);
+  if (errors.length > 0) {
+    throw new CollectionMismatchError(store, errors);
+  }
+  warnings.forEach((m) => {
+    logger.warn(
+      `⚠️ 向量库 "${store}" 的${FIELD_LABELS[m.field]}为 ${formatValue(m.stored)}，当前配置为 ${formatValue(m.expected)}；` +
+        "新写入的 chunk 将按当前配置切分，rebuild 后统一"
+    );
+  });
+}
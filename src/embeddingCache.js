@@ -0,0 +1,126 @@
+/**
+ * Embedding 缓存：文本内容哈希 -> 向量，按 embedding 模型名分命名空间
+ *
+ * - file（默认）：LocalFileStore，每个模型一个目录（embeddingCache.dir/<模型名>/），每条向量一个文件
+ * - redis：key 为 `${embeddingCache.keyPrefix}<模型名>:<d|q>:<sha256>`，连接失败时回退到 file
+ *
+ * embedDocuments 与 embedQuery 都先查缓存，只把未命中的文本交给底层模型；
+ * 文档与查询分开存放（d / q），缓存读写失败时直接调用底层模型，不影响同步与问答。
+ */
+
+import crypto from "node:crypto";
+import path from "node:path";
+
+import { Embeddings } from "@langchain/core/embeddings";
+import { LocalFileStore } from "@langchain/classic/storage/file_system";
+import { redisBackend } from "./memoryStores/redis.js";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+
+// 进程内共享：同一类存储只打开一次（Redis 只建一个连接）
+const stores = new Map();
+
+export function isEmbeddingCacheEnabled(options = {}) {
+  return options.embeddingCache?.enabled ?? config.embeddingCache.enabled;
+}
+
+function namespaceOf(model) {
+  return String(model || "default").replace(/[^a-zA-Z0-9_.-]+/g, "_");
+}
+
+function hashText(text) {
+  return crypto.createHash("sha256").update(String(text)).digest("hex");
+}
+
+function openFileStore(namespace) {
+  const rootPath = path.resolve(process.cwd(), config.embeddingCache.dir, namespace);
+  return LocalFileStore.fromPath(rootPath).then((store) => ({
+    describe: () => `目录 ${path.relative(process.cwd(), rootPath)}`,
+    mget: (keys) =>
+      store.mget(keys).then((values) => values.map((v) => (v ? JSON.parse(Buffer.from(v).toString("utf-8")) : undefined))),
+    mset: (pairs) => store.mset(pairs.map(([key, vector]) => [key, Buffer.from(JSON.stringify(vector))])),
+  }));
+}
+
+function openRedisStore(namespace) {
+  return redisBackend.open().then((client) => {
+    const fullKey = (key) => `${config.embeddingCache.keyPrefix}${namespace}:${key.replace("-", ":")}`;
+    return {
+      describe: () => client.describe(),
+      mget: (keys) =>
+        Promise.all(keys.map((key) => client.get(fullKey(key)))).then((values) =>
+          values.map((v) => (v ? JSON.parse(v) : undefined))
+        ),
+      mset: (pairs) => Promise.all(pairs.map(([key, vector]) => client.set(fullKey(key), JSON.stringify(vector)))),
+    };
+  });
+}
+
+function getCacheStore(namespace) {
+  const type = String(config.embeddingCache.store).toLowerCase();
+  const id = `${type}:${namespace}`;
+  if (!stores.has(id)) {
+    const opened =
+      type === "redis"
+        ? openRedisStore(namespace).catch((err) => {
+            logger.warn(`⚠️ Embedding 缓存无法连接 Redis（${err?.message ?? err}），改用本地文件`);
+            return openFileStore(namespace);
+          })
+        : openFileStore(namespace);
+    stores.set(
+      id,
+      opened.catch((err) => {
+        stores.delete(id);
+        throw err;
+      })
+    );
+  }
+  return stores.get(id);
+}
+
+/**
+ * 带缓存的 Embeddings：包装底层 Embeddings（如 OllamaEmbeddings）
+ */
+export class CachedEmbeddings extends Embeddings {
+  constructor({ underlyingEmbeddings, model }) {
+    super({});
+    this.underlyingEmbeddings = underlyingEmbeddings;
+    this.namespace = namespaceOf(model);
+  }
+
+  async embedWithCache(kind, texts, embedMissing) {
+    const keys = texts.map((text) => `${kind}-${hashText(text)}`);
+    let store = null;
+    let vectors = texts.map(() => undefined);
+    try {
+      store = await getCacheStore(this.namespace);
+      vectors = await store.mget(keys);
+    } catch (err) {
+      logger.warn(`⚠️ Embedding 缓存读取失败: ${err?.message ?? err}`, { error: err });
+    }
+
+    const missing = vectors.map((v, i) => (Array.isArray(v) ? -1 : i)).filter((i) => i >= 0);
+    if (missing.length === 0) return vectors;
+
+    const computed = await embedMissing(missing.map((i) => texts[i]));
+    missing.forEach((index, j) => {
+      vectors[index] = computed[j];
+    });
+    if (store) {
+      await store.mset(missing.map((index, j) => [keys[index], computed[j]])).catch((err) => {
+        logger.warn(`⚠️ Embedding 缓存写入失败: ${err?.message ?? err}`, { error: err });
+      });
+    }
+    return vectors;
+  }
+
+  embedDocuments(texts) {
+    return this.embedWithCache("d", texts, (missing) => this.underlyingEmbeddings.embedDocuments(missing));
+  }
+
+  embedQuery(text) {
+    return this.embedWithCache("q", [text], ([missing]) =>
+      this.underlyingEmbeddings.embedQuery(missing).then((vector) => [vector])
+    ).then(([vector]) => vector);
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * 评测：用 JSONL 数据集衡量检索与回答质量，便于比较不同的 chunkSize / topK / 模型配置
+ *
+ * 运行：
+ * - npm run eval -- eval/dataset.example.jsonl [--label 名称] [--use-existing] [--no-judge] [--profile 名称]
+ *
+ * 数据集每行一个 JSON：
+ * { "question": "...", "expectedSources": [".docs/a.pdf"], "referenceAnswer": "..." }
+ * expectedSources 与 referenceAnswer 都是可选的；缺少 expectedSources 时该题不计入 recall / MRR。
+ *
+ * 默认按当前配置重新 loadDocuments / splitDocuments 并构建内存向量库，
+ * 使 chunkSize / chunkOverlap 的改动立即生效；--use-existing 则直接使用已配置的向量库。
+ */
+
+import "dotenv/config";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { performance } from "node:perf_hooks";
+
+import { loadDocuments, splitDocuments } from "./loadDocs.js";
+import { addDocumentsWithIds, loadVectorStore, prepareVectorStore } from "./buildVectorStore.js";
+import { createRagChain } from "./qa.js";
+import { createRetriever } from "./retrievers.js";
+import { createChatModel, describeModel, stripThink } from "./models.js";
+import { config, validateConfig } from "./config.js";
+import { logger } from "./logger.js";
+
+function parseArgs(argv) {
+  const args = { datasetPath: null, label: "", useExisting: false, judge: true };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--label") args.label = argv[++i] ?? "";
+    else if (arg === "--use-existing") args.useExisting = true;
+    else if (arg === "--no-judge") args.judge = false;
+    // --profile 由 config.js 读取
+    else if (arg === "--profile") i += 1;
+    else if (arg.startsWith("--profile=")) continue;
+    else if (!arg.startsWith("--")) args.datasetPath = arg;
+    else throw new Error(`未知参数: ${arg}`);
+  }
+  if (!args.datasetPath) {
+    throw new Error("用法: npm run eval -- <dataset.jsonl> [--label 名称] [--use-existing] [--no-judge]");
+  }
+  return args;
+}
+
+async function readDataset(datasetPath) {
+  const raw = await fs.readFile(path.resolve(process.cwd(), datasetPath), "utf-8");
+  return raw
+    .split(/\r?\n/)
+    .map((line, i) => ({ line: line.trim(), lineNo: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith("//"))
+    .map(({ line, lineNo }) => {
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch {
+        throw new Error(`数据集第 ${lineNo} 行不是合法的 JSON`);
+      }
+      if (!item.question) {
+        throw new Error(`数据集第 ${lineNo} 行缺少 question`);
+      }
+      return {
+        question: String(item.question),
+        expectedSources: (item.expectedSources ?? []).map((s) => path.normalize(String(s))),
+        referenceAnswer: item.referenceAnswer ?? null,
+      };
+    });
+}
+
+/**
+ * 按当前 documents 配置构建一个独立的内存向量库，不影响正式向量库
+ */
+async function buildEvalVectorStore() {
+  const docs = await loadDocuments();
+  docs.forEach((doc) => {
+    doc.metadata.source = path.relative(process.cwd(), doc.metadata.source);
+  });
+  const chunks = await splitDocuments(docs);
+  logger.info(`✅ 评测索引：${docs.length} 个文档，${chunks.length} 个块`);
+  const vectorStore = await loadVectorStore({ vectorStoreType: "memory" });
+  await addDocumentsWithIds(vectorStore, chunks);
+  return vectorStore;
+}
+
+/**
+ * 检索指标：recall@k 为期望来源被命中的比例，MRR 为首个命中来源的排名倒数
+ */
+function retrievalMetrics(retrievedSources, expectedSources) {
+  if (expectedSources.length === 0) return { recall: null, reciprocalRank: null };
+  const expected = new Set(expectedSources);
+  const hit = new Set(retrievedSources.filter((s) => expected.has(s)));
+  const firstRank = retrievedSources.findIndex((s) => expected.has(s));
+  return {
+    recall: hit.size / expected.size,
+    reciprocalRank: firstRank >= 0 ? 1 / (firstRank + 1) : 0,
+  };
+}
+
+/**
+ * LLM 评分：输出 1-5 的整数，归一化到 [0, 1]
+ */
+async function judge(model, instruction, content) {
+  const res = await model.invoke([
+    ["system", `${instruction}\n只输出 1 到 5 之间的一个整数，不要输出其他内容。`],
+    ["human", content],
+  ]);
+  const match = stripThink(res?.content).match(/[1-5]/);
+  return match ? (Number(match[0]) - 1) / 4 : null;
+}
+
+function judgeFaithfulness(model, context, answer) {
+  return judge(
+    model,
+    "你是 RAG 评测员。判断回答中的陈述是否都能由给定上下文支持（5=完全有依据，1=大部分是编造）。",
+    `上下文：\n${context.map((d) => d.pageContent).join("\n\n")}\n\n回答：\n${answer}`
+  );
+}
+
+function judgeRelevance(model, question, answer, referenceAnswer) {
+  const reference = referenceAnswer ? `\n\n参考答案：\n${referenceAnswer}` : "";
+  return judge(
+    model,
+    "你是 RAG 评测员。判断回答是否切题并正确回答了问题；有参考答案时以参考答案为准（5=完全正确，1=答非所问或错误）。",
+    `问题：\n${question}${reference}\n\n回答：\n${answer}`
+  );
+}
+
+function average(values) {
+  const valid = values.filter((v) => typeof v === "number" && Number.isFinite(v));
+  return valid.length > 0 ? valid.reduce((a, b) => a + b, 0) / valid.length : null;
+}
+
+function percentile(values, p) {
+  const sorted = values.filter((v) => Number.isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function fmt(value, digits = 3) {
+  return typeof value === "number" ? value.toFixed(digits) : "-";
+}
+
+function toMarkdown(report) {
+  const { summary, settings, results } = report;
+  const lines = [
+    `# RAG 评测报告${report.label ? `：${report.label}` : ""}`,
+    "",
+    `- 时间：${report.createdAt}`,
+    `- 数据集：${report.dataset}（${results.length} 题）`,
+    `- 配置：chunkSize=${settings.chunkSize}，chunkOverlap=${settings.chunkOverlap}，topK=${settings.topK}，` +
+      `chatModel=${settings.chatModel}，embeddingModel=${settings.embeddingModel}，向量库=${settings.vectorStore}`,
+    "",
+    "## 汇总",
+    "",
+    "| 指标 | 值 |",
+    "| --- | --- |",
+    `| recall@${settings.topK} | ${fmt(summary.recallAtK)} |`,
+    `| MRR | ${fmt(summary.mrr)} |`,
+    `| faithfulness | ${fmt(summary.faithfulness)} |`,
+    `| relevance | ${fmt(summary.relevance)} |`,
+    `| 检索耗时 avg / p95 (ms) | ${fmt(summary.retrievalMs.avg, 0)} / ${fmt(summary.retrievalMs.p95, 0)} |`,
+    `| 回答耗时 avg / p95 (ms) | ${fmt(summary.answerMs.avg, 0)} / ${fmt(summary.answerMs.p95, 0)} |`,
+    "",
+    "## 明细",
+    "",
+    "| # | 问题 | recall | RR | faithfulness | relevance | 回答耗时 (ms) |",
+    "| --- | --- | --- | --- | --- | --- | --- |",
+    ...results.map(
+      (r, i) =>
+        `| ${i + 1} | ${r.question.replace(/\|/g, "\\|")} | ${fmt(r.recall)} | ${fmt(r.reciprocalRank)} | ` +
+        `${fmt(r.faithfulness)} | ${fmt(r.relevance)} | ${fmt(r.answerMs, 0)} |`
+    ),
+    "",
+  ];
+  return lines.join("\n");
+}
+
+async function writeReport(report) {
+  const outputDir = path.resolve(process.cwd(), config.eval.outputDir);
+  await fs.mkdir(outputDir, { recursive: true });
+  const stamp = report.createdAt.replace(/[:.]/g, "-");
+  const base = path.join(outputDir, `eval-${stamp}${report.label ? `-${report.label.replace(/[^\w.-]+/g, "_")}` : ""}`);
+  await fs.writeFile(`${base}.json`, JSON.stringify(report, null, 2));
+  await fs.writeFile(`${base}.md`, toMarkdown(report));
+  return { json: `${base}.json`, markdown: `${base}.md` };
+}
+
+async function runEval(args) {
+  const dataset = await readDataset(args.datasetPath);
+  const topK = Number(config.retrieval.topK);
+
+  const vectorStore = args.useExisting ? await loadVectorStore() : await buildEvalVectorStore();
+  if (args.useExisting) await prepareVectorStore(vectorStore);
+  const retriever = await createRetriever(vectorStore, { topK });
+  const ragChain = await createRagChain(vectorStore, { topK });
+  const judgeModel = args.judge
+    ? createChatModel({ chatModel: config.eval.judgeModel || undefined, temperature: 0 })
+    : null;
+
+  const results = [];
+  for (const [i, item] of dataset.entries()) {
+    logger.info(`🧪 [${i + 1}/${dataset.length}] ${item.question}`);
+
+    const retrievalStart = performance.now();
+    const retrieved = await retriever.invoke(item.question);
+    const retrievalMs = performance.now() - retrievalStart;
+    const retrievedSources = retrieved.map((d) => path.normalize(String(d.metadata?.source ?? "")));
+
+    const answerStart = performance.now();
+    const res = await ragChain.invoke({ input: item.question, question: item.question, chat_history: [] });
+    const answerMs = performance.now() - answerStart;
+    const answer = stripThink(res?.answer ?? "");
+
+    const faithfulness = judgeModel ? await judgeFaithfulness(judgeModel, res?.context ?? [], answer) : null;
+    const relevance = judgeModel ? await judgeRelevance(judgeModel, item.question, answer, item.referenceAnswer) : null;
+
+    results.push({
+      question: item.question,
+      expectedSources: item.expectedSources,
+      retrievedSources,
+      ...retrievalMetrics(retrievedSources, item.expectedSources),
+      answer,
+      referenceAnswer: item.referenceAnswer,
+      faithfulness,
+      relevance,
+      retrievalMs,
+      answerMs,
+    });
+  }
+
+  const retrievalTimes = results.map((r) => r.retrievalMs);
+  const answerTimes = results.map((r) => r.answerMs);
+  return {
+    label: args.label,
+    createdAt: new Date().toISOString(),
+    dataset: args.datasetPath,
+    settings: {
+      chunkSize: config.documents.chunkSize,
+      chunkOverlap: config.documents.chunkOverlap,
+      topK,
+      chatModel: describeModel("chat"),
+      embeddingModel: describeModel("embedding"),
+      vectorStore: args.useExisting ? config.vectorStore.type : "memory",
+      retrieval: config.retrieval,
+    },
+    summary: {
+      recallAtK: average(results.map((r) => r.recall)),
+      mrr: average(results.map((r) => r.reciprocalRank)),
+      faithfulness: average(results.map((r) => r.faithfulness)),
+      relevance: average(results.map((r) => r.relevance)),
+      retrievalMs: { avg: average(retrievalTimes), p50: percentile(retrievalTimes, 50), p95: percentile(retrievalTimes, 95) },
+      answerMs: { avg: average(answerTimes), p50: percentile(answerTimes, 50), p95: percentile(answerTimes, 95) },
+    },
+    results,
+  };
+}
+
+function main() {
+  Promise.resolve()
+    .then(() => validateConfig())
+    .then(() => runEval(parseArgs(process.argv.slice(2))))
+    .then(async (report) => {
+      const files = await writeReport(report);
+      const { summary, settings } = report;
+      logger.info(
+        `✅ 评测完成：recall@${settings.topK}=${fmt(summary.recallAtK)}，MRR=${fmt(summary.mrr)}，` +
+          `faithfulness=${fmt(summary.faithfulness)}，relevance=${fmt(summary.relevance)}`
+      );
+      logger.info(`📄 报告：${files.markdown}`);
+      process.exit(0);
+    })
+    .catch((err) => {
+      logger.error(`❌ 评测失败: ${err?.message ?? err}`, { error: err });
+      process.exit(1);
+    });
+}
+
+void main();
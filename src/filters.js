@@ -0,0 +1,104 @@
+/**
+ * 元数据过滤：把 `source=.docs/x.pdf type=pdf` 这类条件解析成统一结构，
+ * 各后端再翻译为自己的过滤形式（Milvus 为 expr，HNSWLib / 内存为 Document 谓词，见 createFilter）
+ *
+ * 支持的条件（多个条件之间为 AND，同一条件用逗号分隔多个值为 OR）：
+ * - source=<路径>    精确匹配文件
+ * - folder=<目录>    source 以该目录开头
+ * - type=<扩展名>    文件扩展名（如 pdf / md / docx，不区分大小写），匹配 chunk 的 ext 字段（小写）
+ * - <字段>=<值>      其他任意 metadata 字段精确匹配（如 tag=hr）
+ */
+
+import path from "node:path";
+
+const SPECIAL_FIELDS = {
+  source: { field: "source", op: "eq" },
+  folder: { field: "source", op: "prefix" },
+  type: { field: "ext", op: "eq" },
+};
+
+function normalizeValue(key, value) {
+  const text = String(value).trim();
+  if (key === "source") return path.normalize(text);
+  if (key === "folder") {
+    const dir = path.normalize(text).replace(/[\\/]+$/, "");
+    return `${dir}${path.sep}`;
+  }
+  if (key === "type") return `.${text.replace(/^\./, "").toLowerCase()}`;
+  return text;
+}
+
+function toCondition(key, values) {
+  const spec = SPECIAL_FIELDS[key] ?? { field: key, op: "eq" };
+  const list = (Array.isArray(values) ? values : String(values).split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean)
+    .map((v) => normalizeValue(key, v));
+  if (list.length === 0) {
+    throw new Error(`过滤条件 "${key}" 缺少取值`);
+  }
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(spec.field)) {
+    throw new Error(`非法的过滤字段: "${key}"`);
+  }
+  return { key, field: spec.field, op: spec.op, values: list };
+}
+
+/**
+ * 切分 `a=1 b="x y"`，支持双引号包裹含空格的值
+ */
+function splitTerms(text) {
+  return Array.from(String(text).matchAll(/([^\s=]+)=("([^"]*)"|\S+)/g), (m) => [m[1], m[3] ?? m[2]]);
+}
+
+/**
+ * 解析过滤条件；接受字符串（CLI / API）或对象 { source, type: ["pdf", "md"] }
+ * @returns {Array|null} 条件数组，空条件返回 null
+ */
+export function parseFilter(input) {
+  if (input === undefined || input === null || input === "") return null;
+  if (Array.isArray(input)) return input.length > 0 ? input : null;
+
+  let entries;
+  if (typeof input === "string") {
+    const trimmed = input.trim();
+    entries = splitTerms(trimmed);
+    if (trimmed && entries.length === 0) {
+      throw new Error(`无法解析过滤条件: "${input}"（格式：key=value，例如 source=.docs/x.pdf）`);
+    }
+  } else if (typeof input === "object") {
+    entries = Object.entries(input);
+  } else {
+    throw new Error("过滤条件必须是字符串或对象");
+  }
+
+  const conditions = entries.map(([key, value]) => toCondition(key, value));
+  return conditions.length > 0 ? conditions : null;
+}
+
+/**
+ * 过滤条件的可读形式（CLI 展示用）
+ */
+export function formatFilter(filter) {
+  if (!filter) return "(无)";
+  return filter.map((c) => `${c.key}=${c.values.join(",")}`).join(" ");
+}
+
+/**
+ * 翻译为 Document 谓词（HNSWLib / 内存后端 / BM25 使用）
+ */
+export function toPredicate(filter) {
+  if (!filter) return undefined;
+  return (doc) =>
+    filter.every((c) => {
+      // 没有 ext 字段的旧索引按 source 的扩展名判断
+      const raw =
+        c.field === "ext"
+          ? (doc?.metadata?.ext ?? path.extname(String(doc?.metadata?.source ?? "")))
+          : doc?.metadata?.[c.field];
+      if (raw === undefined || raw === null) return false;
+      let value = String(raw);
+      if (c.field === "source") value = path.normalize(value);
+      if (c.field === "ext") value = value.toLowerCase();
+      return c.values.some((v) => (c.op === "prefix" ? value.startsWith(v) : value === v));
+    });
+}
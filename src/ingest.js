@@ -0,0 +1,410 @@
+/**
+ * 增量同步：只重新向量化新增 / 修改的文件，并删除已变更或已移除文件的旧向量
+ *
+ * manifest 结构（默认 data/manifest.json）：
+ * {
+ *   schemaVersion: 1,
+ *   store: "milvus:langchain_docs",
+ *   files: {
+ *     ".docs/a.pdf": { hash, mtimeMs, size, ids: ["4512...", ...] }
+ *   }
+ * }
+ *
+ * 文件按批写入（见 batchIngest.js），正在写入的文件记录在断点文件中（manifest 同名的 .checkpoint.json）：
+ * { store, source, hash, chunksHash, batchSize, batches: { [批序号]: ids } }
+ * 中断后再次同步时，文件与切分结果都未变化则跳过已完成的批次；否则删除断点中的残留向量后重新写入。
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { emptyLoadReport, loadFile, printLoadReport, scanDocsDir, splitDocuments } from "./loadDocs.js";
+import {
+  deleteDocumentsByIds,
+  deleteVectorStore,
+  describeVectorStore,
+  findIdsBySource,
+  listDocuments,
+  loadVectorStore,
+  prepareVectorStore,
+  promoteVectorStore,
+  stagingVectorStoreOptions,
+  vectorStoreExists,
+} from "./buildVectorStore.js";
+import { addDocumentsInBatches, createProgress, resolveIngestOptions } from "./batchIngest.js";
+import { recordCollectionMeta, verifyCollectionMeta } from "./collectionMeta.js";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+
+const MANIFEST_SCHEMA_VERSION = 1;
+
+export function resolveManifestPath(options = {}) {
+  return path.resolve(process.cwd(), options.manifestPath ?? config.documents.manifestPath);
+}
+
+function resolveCheckpointPath(options = {}) {
+  return resolveManifestPath(options).replace(/(\.json)?$/, ".checkpoint.json");
+}
+
+function emptyManifest(store) {
+  return { schemaVersion: MANIFEST_SCHEMA_VERSION, store, files: {} };
+}
+
+/**
+ * 读取 manifest，不存在时返回 null
+ */
+export async function loadManifest(options = {}) {
+  const manifestPath = resolveManifestPath(options);
+  try {
+    const raw = await fs.readFile(manifestPath, "utf-8");
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed.files !== "object") return null;
+    return parsed;
+  } catch (err) {
+    if (err?.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * 写入 manifest（先写临时文件再 rename，避免中途退出留下半个 JSON）
+ */
+export async function saveManifest(manifest, options = {}) {
+  const manifestPath = resolveManifestPath(options);
+  await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+  const tmpPath = `${manifestPath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify({ ...manifest, updatedAt: Date.now() }, null, 2));
+  await fs.rename(tmpPath, manifestPath);
+}
+
+/**
+ * 删除 manifest 与断点（rebuild / drop collection 时调用）
+ */
+export async function deleteManifest(options = {}) {
+  await fs.rm(resolveManifestPath(options), { force: true });
+  await deleteCheckpoint(options);
+}
+
+async function loadCheckpoint(options = {}) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(resolveCheckpointPath(options), "utf-8"));
+    return parsed && typeof parsed.batches === "object" ? parsed : null;
+  } catch (err) {
+    if (err?.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function saveCheckpoint(checkpoint, options = {}) {
+  const checkpointPath = resolveCheckpointPath(options);
+  await fs.mkdir(path.dirname(checkpointPath), { recursive: true });
+  const tmpPath = `${checkpointPath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(checkpoint, null, 2));
+  await fs.rename(tmpPath, checkpointPath);
+}
+
+async function deleteCheckpoint(options = {}) {
+  await fs.rm(resolveCheckpointPath(options), { force: true });
+}
+
+function hashChunks(chunks) {
+  const hash = crypto.createHash("sha256");
+  chunks.forEach((chunk) => hash.update(chunk.pageContent).update("\u0000"));
+  return hash.digest("hex");
+}
+
+/**
+ * 断点无法继续使用时，删除其中已写入、但不在 manifest 中的向量
+ */
+async function discardCheckpoint(vectorStore, checkpoint, manifest, options = {}) {
+  const live = new Set(Object.values(manifest.files).flatMap((entry) => entry.ids ?? []));
+  const orphans = Object.values(checkpoint.batches)
+    .flat()
+    .filter((id) => !live.has(id));
+  if (orphans.length > 0) {
+    await deleteDocumentsByIds(vectorStore, orphans);
+    logger.info(`🗑️ 已清理上次中断写入的残留向量: ${checkpoint.source} (${orphans.length} 块)`);
+  }
+  await deleteCheckpoint(options);
+}
+
+async function hashFile(filePath) {
+  const content = await fs.readFile(filePath);
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * 对比磁盘文件与 manifest，得出新增 / 修改 / 删除 / 未变化四类（另附不支持格式的文件列表）
+ *
+ * mtime 与 size 都未变时直接视为未变化；否则再比较内容哈希，
+ * 哈希一致（例如只是 touch 了一下）也视为未变化，只刷新 mtime。
+ */
+export async function diffDocsDir(manifest, options = {}) {
+  const docsDir = options.docsDir ?? path.resolve(process.cwd(), config.documents.docsDir);
+  const { files, unsupported } = await scanDocsDir(docsDir);
+  const known = manifest?.files ?? {};
+
+  const added = [];
+  const modified = [];
+  const unchanged = [];
+  const seen = new Set();
+
+  for (const filePath of files) {
+    const source = path.relative(process.cwd(), filePath);
+    seen.add(source);
+    const stat = await fs.stat(filePath);
+    const prev = known[source];
+
+    if (prev && prev.mtimeMs === stat.mtimeMs && prev.size === stat.size) {
+      unchanged.push({ source, filePath, entry: prev });
+      continue;
+    }
+
+    const hash = await hashFile(filePath);
+    const entry = { hash, mtimeMs: stat.mtimeMs, size: stat.size };
+    if (!prev) {
+      added.push({ source, filePath, entry });
+    } else if (prev.hash === hash) {
+      unchanged.push({ source, filePath, entry: { ...prev, mtimeMs: stat.mtimeMs, size: stat.size } });
+    } else {
+      modified.push({ source, filePath, entry, prev });
+    }
+  }
+
+  const deleted = Object.keys(known)
+    .filter((source) => !seen.has(source))
+    .map((source) => ({ source, prev: known[source] }));
+
+  return { added, modified, deleted, unchanged, unsupported: unsupported.map((f) => path.relative(process.cwd(), f)) };
+}
+
+/**
+ * 加载并切分单个文件，source 统一为相对 cwd 的路径（与 cli.js 保持一致）
+ */
+async function loadAndSplitFile(filePath, options = {}) {
+  const docs = await loadFile(filePath);
+  docs.forEach((doc) => {
+    doc.metadata.source = path.relative(process.cwd(), doc.metadata.source ?? filePath);
+  });
+  return splitDocuments(docs, options);
+}
+
+/**
+ * 已有向量库没有 manifest 时，按 source 反查主键补建 manifest，避免重复插入
+ */
+async function adoptExistingStore(vectorStore, store, options = {}) {
+  logger.info("ℹ️ 未找到 manifest，正在根据现有向量库补建...");
+  const manifest = emptyManifest(store);
+  const { added } = await diffDocsDir(null, options);
+  for (const { source, entry } of added) {
+    const ids = await findIdsBySource(vectorStore, source);
+    if (ids.length > 0) {
+      manifest.files[source] = { ...entry, ids };
+    }
+  }
+  await saveManifest(manifest, options);
+  return manifest;
+}
+
+/**
+ * 增量同步 `.docs` 与向量库
+ *
+ * @param {Object} options - 配置选项（可选），同 loadVectorStore / splitDocuments
+ * 单个文件加载失败不会中断同步：失败的文件不写入 manifest，下次同步时重试。
+ * 已有向量库与当前 embedding 模型不兼容时抛出 CollectionMismatchError（见 collectionMeta.js）。
+ *
+ * @returns {Promise<{vectorStore, added: string[], modified: string[], deleted: string[], unchanged: number, chunks: number,
+ *   skipped: {source, reason}[], failed: {source, error}[]}>}
+ */
+export async function syncVectorStore(options = {}) {
+  const store = describeVectorStore(options);
+  const vectorStore = await loadVectorStore(options);
+  const exists = await vectorStoreExists(vectorStore);
+  if (exists) {
+    await verifyCollectionMeta(vectorStore, options);
+  }
+
+  let manifest = await loadManifest(options);
+  if (manifest && manifest.store !== store) {
+    manifest = null;
+  }
+  if (!exists) {
+    // 向量库不存在（或内存后端重启）时 manifest 中的主键都已失效，全部按新增处理；
+    // 立即落盘，避免首个文件写到一半中断后被 adoptExistingStore 当作已完成
+    manifest = emptyManifest(store);
+    await saveManifest(manifest, options);
+  } else if (!manifest) {
+    manifest = await adoptExistingStore(vectorStore, store, options);
+  }
+
+  const { added, modified, deleted, unchanged, unsupported } = await diffDocsDir(manifest, options);
+  const report = emptyLoadReport();
+  unsupported.forEach((source) => report.skipped.push({ source, reason: "不支持的格式" }));
+  logger.info(
+    `🔍 增量同步：新增 ${added.length}，修改 ${modified.length}，删除 ${deleted.length}，未变化 ${unchanged.length}`
+  );
+
+  // 刷新未变化文件的 mtime，避免下次重复计算哈希
+  unchanged.forEach(({ source, entry }) => {
+    manifest.files[source] = entry;
+  });
+
+  for (const { source, prev } of [...deleted, ...modified]) {
+    await deleteDocumentsByIds(vectorStore, prev.ids ?? []);
+    delete manifest.files[source];
+    await saveManifest(manifest, options);
+    logger.info(`🗑️ 已删除旧向量: ${source} (${prev.ids?.length ?? 0} 块)`);
+  }
+
+  // 先加载并切分全部待写入的文件，以便进度条按总块数计算
+  const pending = [];
+  for (const { source, filePath, entry } of [...added, ...modified]) {
+    try {
+      const chunks = await loadAndSplitFile(filePath, options);
+      if (chunks.length === 0) {
+        report.skipped.push({ source, reason: "没有可提取的文本" });
+      }
+      pending.push({ source, entry, chunks, chunksHash: hashChunks(chunks) });
+    } catch (err) {
+      report.failed.push({ source, error: err?.message ?? String(err) });
+    }
+  }
+
+  const { batchSize } = resolveIngestOptions(options);
+  let checkpoint = exists ? await loadCheckpoint(options) : null;
+  const resumable =
+    checkpoint?.store === store &&
+    checkpoint.batchSize === batchSize &&
+    pending.some(
+      (f) => f.source === checkpoint.source && f.entry.hash === checkpoint.hash && f.chunksHash === checkpoint.chunksHash
+    );
+  if (checkpoint && !resumable) {
+    await discardCheckpoint(vectorStore, checkpoint, manifest, options);
+    checkpoint = null;
+  } else if (!exists) {
+    await deleteCheckpoint(options);
+  }
+
+  const progress = createProgress(pending.reduce((n, f) => n + f.chunks.length, 0));
+  let chunkCount = 0;
+  for (const { source, entry, chunks, chunksHash } of pending) {
+    const current =
+      checkpoint?.source === source
+        ? checkpoint
+        : { store, source, hash: entry.hash, chunksHash, batchSize, batches: {} };
+    const resumed = Object.keys(current.batches).length;
+    if (resumed > 0) {
+      logger.info(`⏩ 从断点继续: ${source}（已完成 ${resumed} 批）`);
+    }
+
+    const ids = await addDocumentsInBatches(vectorStore, chunks, {
+      ...options,
+      progress,
+      completed: current.batches,
+      onBatch: (index, batchIds) => {
+        current.batches[index] = batchIds;
+        return saveCheckpoint(current, options);
+      },
+    });
+    chunkCount += chunks.length;
+    // 每个文件写入后立即落盘 manifest，中断后可从已完成的文件继续
+    manifest.files[source] = { ...entry, ids };
+    await saveManifest(manifest, options);
+    await deleteCheckpoint(options);
+    logger.info(`✅ 已写入: ${source} (${ids.length} 块)`);
+  }
+
+  await saveManifest(manifest, options);
+  printLoadReport(report);
+
+  if (Object.keys(manifest.files).length > 0) {
+    await recordCollectionMeta(vectorStore, options);
+    await prepareVectorStore(vectorStore);
+  }
+
+  const failedSources = new Set(report.failed.map((f) => f.source));
+  return {
+    vectorStore,
+    added: added.filter((f) => !failedSources.has(f.source)).map((f) => f.source),
+    modified: modified.filter((f) => !failedSources.has(f.source)).map((f) => f.source),
+    deleted: deleted.map((f) => f.source),
+    unchanged: unchanged.length,
+    chunks: chunkCount,
+    skipped: report.skipped,
+    failed: report.failed,
+  };
+}
+
+/**
+ * 删除某个 source 的全部 chunk，并从 manifest 中移除该文件
+ *
+ * 文件仍在文档目录中时，下次增量同步会把它当作新增文件重新写入；要永久移除请同时删除文件。
+ * @returns {Promise<{ source, deleted: number, manifest: boolean }>} manifest 表示 manifest 中是否有该文件的记录
+ */
+export async function removeSource(vectorStore, source, options = {}) {
+  const ids = await findIdsBySource(vectorStore, source);
+  await deleteDocumentsByIds(vectorStore, ids);
+
+  const manifest = await loadManifest(options);
+  const tracked = manifest?.store === describeVectorStore(options) && Boolean(manifest.files[source]);
+  if (tracked) {
+    delete manifest.files[source];
+    await saveManifest(manifest, options);
+  }
+  if (ids.length > 0) logger.info(`🗑️ 已删除: ${source} (${ids.length} 块)`);
+  return { source, deleted: ids.length, manifest: tracked };
+}
+
+/**
+ * 迁移：用当前 embedding 模型重新向量化向量库中已有的 chunk（不重新加载、切分文档），并更新 manifest 与元数据
+ *
+ * 先写入临时向量库（见各后端的 stagingOptions），全部成功后再替换原向量库；中途失败时删除临时向量库，原向量库与 manifest 保持不变。
+ * 每个迁移的文件都写入 manifest：原 manifest 中没有记录的文件内容未知，记为待更新，下次 sync 删除其 chunk 后从磁盘重新写入。
+ * @returns {Promise<{vectorStore, sources: number, chunks: number}>}
+ */
+export async function migrateVectorStore(options = {}) {
+  const store = describeVectorStore(options);
+  const oldStore = await loadVectorStore(options);
+  if (!(await vectorStoreExists(oldStore))) {
+    throw new Error(`向量库 "${store}" 不存在，无需迁移`);
+  }
+
+  // 旧向量不再使用，只保留文本与 metadata（去掉各后端的主键）
+  const bySource = new Map();
+  for (const doc of await listDocuments(oldStore)) {
+    const { pk, [oldStore.primaryField]: primaryKey, ...metadata } = doc.metadata;
+    const docs = bySource.get(metadata.source) ?? [];
+    docs.push({ pageContent: doc.pageContent, metadata });
+    bySource.set(metadata.source, docs);
+  }
+  const chunks = [...bySource.values()].reduce((n, docs) => n + docs.length, 0);
+
+  const loaded = await loadManifest(options);
+  const previous = loaded?.store === store ? loaded.files : {};
+  const stagingOptions = stagingVectorStoreOptions(options);
+  // 清理上次迁移失败可能留下的临时向量库
+  await deleteVectorStore(stagingOptions);
+  const staging = await loadVectorStore(stagingOptions);
+  logger.info(`🔄 正在迁移向量库 "${store}"：${bySource.size} 个文件，${chunks} 块`);
+
+  const manifest = emptyManifest(store);
+  try {
+    const progress = createProgress(chunks, "迁移向量");
+    for (const [source, docs] of bySource) {
+      const ids = await addDocumentsInBatches(staging, docs, { ...options, progress });
+      manifest.files[source] = { ...(previous[source] ?? { hash: null, mtimeMs: null, size: null }), ids };
+    }
+    await recordCollectionMeta(staging, options);
+  } catch (err) {
+    await deleteVectorStore(stagingOptions).catch(() => undefined);
+    throw err;
+  }
+
+  // 替换前删除旧 manifest：替换后、写入新 manifest 前中断时，下次 sync 按 source 反查主键补建
+  await deleteManifest(options);
+  const vectorStore = await promoteVectorStore(staging, options);
+  await saveManifest(manifest, options);
+  await prepareVectorStore(vectorStore);
+  return { vectorStore, sources: bySource.size, chunks };
+}
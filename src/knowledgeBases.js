@@ -0,0 +1,157 @@
+/**
+ * 命名知识库：每个知识库有自己的文档目录、collection、切分参数与模型
+ *
+ * config.json：
+ * {
+ *   "knowledgeBase": "default",
+ *   "knowledgeBases": {
+ *     "hr": { "docsDir": ".docs-hr", "collectionName": "langchain_docs_hr", "chunkSize": 600, "chatModel": "qwen3:8b" }
+ *   }
+ * }
+ *
+ * default 知识库始终存在，对应全局的 documents / milvus / vectorStore / ollama 配置。
+ * getKnowledgeBase 返回的对象可直接作为 options 传给 syncVectorStore / loadVectorStore / createRagGraph 等。
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { deleteVectorStore } from "./buildVectorStore.js";
+import { deleteManifest } from "./ingest.js";
+import { resolveModelSettings } from "./models.js";
+import { checkKnowledgeBaseSettings, config, KNOWLEDGE_BASE_FIELDS, updateConfigFile } from "./config.js";
+import { logger } from "./logger.js";
+
+export const DEFAULT_KNOWLEDGE_BASE = "default";
+
+// 名称同时用作 Milvus collection 后缀，只允许字母、数字与下划线
+const NAME_RE = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// 知识库可单独配置的项
+const KB_SETTINGS = Object.keys(KNOWLEDGE_BASE_FIELDS);
+
+function definedKnowledgeBases() {
+  return config.knowledgeBases && typeof config.knowledgeBases === "object" ? config.knowledgeBases : {};
+}
+
+/**
+ * 未配置时的默认位置：default 使用全局配置，其他知识库在全局配置的基础上加上名称
+ * （HNSWLib 目录与 default 的目录并列，不放在其中）
+ */
+function defaultLocations(name) {
+  if (name === DEFAULT_KNOWLEDGE_BASE) {
+    return {
+      docsDir: config.documents.docsDir,
+      collectionName: config.milvus.collectionName,
+      persistDir: config.vectorStore.persistDir,
+      manifestPath: config.documents.manifestPath,
+    };
+  }
+  return {
+    docsDir: `${config.documents.docsDir}-${name}`,
+    collectionName: `${config.milvus.collectionName}_${name}`,
+    persistDir: `${config.vectorStore.persistDir}-${name}`,
+    manifestPath: path.join(path.dirname(config.documents.manifestPath), `manifest.${name}.json`),
+  };
+}
+
+export function knowledgeBaseExists(name) {
+  return name === DEFAULT_KNOWLEDGE_BASE || Object.hasOwn(definedKnowledgeBases(), name);
+}
+
+/**
+ * 解析知识库配置（未填写的项沿用全局配置）
+ * @param {string} [name] - 知识库名称，默认为 config.knowledgeBase
+ */
+export function getKnowledgeBase(name = config.knowledgeBase) {
+  const kbName = String(name || DEFAULT_KNOWLEDGE_BASE);
+  if (!knowledgeBaseExists(kbName)) {
+    throw new Error(`知识库 "${kbName}" 不存在（可选：${listKnowledgeBaseNames().join(" / ")}）`);
+  }
+  const settings = definedKnowledgeBases()[kbName] ?? {};
+  const locations = { ...defaultLocations(kbName), ...settings };
+
+  return {
+    knowledgeBase: kbName,
+    description: settings.description ?? "",
+    docsDir: path.resolve(process.cwd(), locations.docsDir),
+    collectionName: locations.collectionName,
+    persistDir: locations.persistDir,
+    // 旧版本把 HNSWLib 目录放在 default 的目录中，加载时迁移到新位置（见 vectorStores/hnswlib.js）
+    ...(kbName !== DEFAULT_KNOWLEDGE_BASE && !settings.persistDir
+      ? { legacyPersistDir: path.join(config.vectorStore.persistDir, kbName) }
+      : {}),
+    manifestPath: locations.manifestPath,
+    chunkSize: settings.chunkSize ?? config.documents.chunkSize,
+    chunkOverlap: settings.chunkOverlap ?? config.documents.chunkOverlap,
+    splitters: { ...config.documents.splitters, ...settings.splitters },
+    embeddingModel: settings.embeddingModel ?? resolveModelSettings("embedding").model,
+    chatModel: settings.chatModel ?? resolveModelSettings("chat").model,
+    topK: settings.topK ?? config.retrieval.topK,
+  };
+}
+
+export function listKnowledgeBaseNames() {
+  const names = Object.keys(definedKnowledgeBases()).filter((name) => name !== DEFAULT_KNOWLEDGE_BASE);
+  return [DEFAULT_KNOWLEDGE_BASE, ...names.sort()];
+}
+
+export function listKnowledgeBases() {
+  return listKnowledgeBaseNames().map((name) => getKnowledgeBase(name));
+}
+
+/**
+ * 创建知识库：写入 config.json 并创建文档目录
+ * @param {string} name - 知识库名称（字母开头，只含字母、数字与下划线）
+ * @param {Object} [settings] - 见 KB_SETTINGS，未填写的 docsDir / collectionName 按名称生成
+ */
+export async function createKnowledgeBase(name, settings = {}) {
+  const kbName = String(name ?? "").trim();
+  if (!NAME_RE.test(kbName)) {
+    throw new Error(`非法的知识库名称: "${kbName}"（需以字母开头，只含字母、数字与下划线）`);
+  }
+  if (knowledgeBaseExists(kbName)) {
+    throw new Error(`知识库 "${kbName}" 已存在`);
+  }
+  const unknown = Object.keys(settings).filter((key) => !KB_SETTINGS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`未知的知识库配置项: ${unknown.join(", ")}（可选：${KB_SETTINGS.join(" / ")}）`);
+  }
+  const problems = checkKnowledgeBaseSettings(kbName, settings, "参数");
+  if (problems.length > 0) {
+    throw new Error(`知识库配置不合法：${problems.join("；")}`);
+  }
+
+  const { docsDir, collectionName } = defaultLocations(kbName);
+  const entry = { docsDir, collectionName, ...settings };
+  const next = updateConfigFile((fileConfig) => {
+    fileConfig.knowledgeBases = { ...fileConfig.knowledgeBases, [kbName]: entry };
+  });
+  config.knowledgeBases = next.knowledgeBases;
+
+  const kb = getKnowledgeBase(kbName);
+  await fs.mkdir(kb.docsDir, { recursive: true });
+  return kb;
+}
+
+/**
+ * 删除知识库：删除向量库与 manifest，并从 config.json 移除；文档目录保留
+ */
+export async function deleteKnowledgeBase(name) {
+  const kb = getKnowledgeBase(name);
+  if (kb.knowledgeBase === DEFAULT_KNOWLEDGE_BASE) {
+    throw new Error("default 知识库不能删除");
+  }
+
+  await deleteVectorStore(kb).catch((err) => {
+    logger.warn(`⚠️ 删除知识库 "${kb.knowledgeBase}" 的向量库失败: ${err?.message ?? err}`, { error: err });
+  });
+  await deleteManifest(kb);
+
+  const next = updateConfigFile((fileConfig) => {
+    const { [kb.knowledgeBase]: _removed, ...rest } = fileConfig.knowledgeBases ?? {};
+    fileConfig.knowledgeBases = rest;
+  });
+  config.knowledgeBases = next.knowledgeBases;
+  return kb;
+}
@@ -1,43 +1,147 @@
 /**
  * 文档加载 & 切分模块（使用 LangChain 内置工具）
  *
- * - 使用 DirectoryLoader 从 `.docs` 批量加载：txt / md / pdf / docx
- * - 使用 RecursiveCharacterTextSplitter 切分为可向量化的 chunks
+ * - 递归扫描 `.docs`，按扩展名选择 Loader（见 LOADERS）：
+ *   txt / md / pdf / docx / html / csv / tsv / xlsx / json / epub / 源代码
+ * - DOCX / HTML / EPUB 转成带 # 标题与 | 表格的文本，保留章节结构
+ * - 表格（CSV / XLSX）每行转成“列名: 值”的文本，源代码在 metadata 中记录 language
+ * - 不支持的文件与加载失败的文件会汇总成报告，而不是静默跳过
+ * - 按格式选择切分策略（见 chunking.js）切分为可向量化的 chunks
  */
 
+import fs from "node:fs/promises";
 import path from "node:path";
 
 import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
-import { DocxLoader } from "@langchain/community/document_loaders/fs/docx";
-import { DirectoryLoader } from "@langchain/classic/document_loaders/fs/directory";
 import { TextLoader } from "@langchain/classic/document_loaders/fs/text";
-import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
+import { splitByStrategy } from "./chunking.js";
 import { config } from "./config.js";
+import { CODE_LANGUAGES, CodeLoader } from "./loaders/code.js";
+import { StructuredDocxLoader } from "./loaders/docx.js";
+import { EpubLoader } from "./loaders/epub.js";
+import { HtmlLoader } from "./loaders/html.js";
+import { JsonFlatLoader } from "./loaders/json.js";
+import { CsvLoader, XlsxLoader } from "./loaders/table.js";
+import { logger } from "./logger.js";
 
 /**
- * 从 `.docs` 目录批量加载文档（txt/md/pdf/docx）
+ * 扩展名 -> Loader 工厂（批量加载与单文件加载共用）
  */
-export function loadDocuments(options = {}) {
-  const docsDir = options.docsDir ?? path.resolve(process.cwd(), config.documents.docsDir);
+export const LOADERS = {
+  ".txt": (p) => new TextLoader(p),
+  ".md": (p) => new TextLoader(p),
+  ".pdf": (p) => new PDFLoader(p),
+  ".docx": (p) => new StructuredDocxLoader(p),
+  ".html": (p) => new HtmlLoader(p),
+  ".htm": (p) => new HtmlLoader(p),
+  ".csv": (p) => new CsvLoader(p),
+  ".tsv": (p) => new CsvLoader(p),
+  ".xlsx": (p) => new XlsxLoader(p),
+  ".json": (p) => new JsonFlatLoader(p),
+  ".epub": (p) => new EpubLoader(p),
+  ...Object.fromEntries(Object.keys(CODE_LANGUAGES).map((ext) => [ext, (p) => new CodeLoader(p)])),
+};
+
+export function isSupportedFile(filePath) {
+  return Boolean(LOADERS[path.extname(filePath).toLowerCase()]);
+}
+
+/**
+ * 递归列出 docsDir 下的文件：files 为受支持的文件，unsupported 为没有对应 Loader 的文件
+ * 以 . 开头的文件与目录（.DS_Store、.git 等）直接忽略
+ */
+export async function scanDocsDir(docsDir) {
+  const entries = await fs.readdir(docsDir, { withFileTypes: true });
+  const files = [];
+  const unsupported = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) continue;
+    const fullPath = path.join(docsDir, entry.name);
+    if (entry.isDirectory()) {
+      const nested = await scanDocsDir(fullPath);
+      files.push(...nested.files);
+      unsupported.push(...nested.unsupported);
+    } else if (entry.isFile()) {
+      (isSupportedFile(fullPath) ? files : unsupported).push(fullPath);
+    }
+  }
+  return { files, unsupported };
+}
 
-  const loader = new DirectoryLoader(docsDir, {
-    ".txt": (p) => new TextLoader(p),
-    ".md": (p) => new TextLoader(p),
-    ".pdf": (p) => new PDFLoader(p),
-    ".docx": (p) => new DocxLoader(p),
+/**
+ * 加载单个文件（增量同步时只加载新增/修改的文件）
+ */
+export function loadFile(filePath) {
+  const createLoader = LOADERS[path.extname(filePath).toLowerCase()];
+  if (!createLoader) {
+    return Promise.resolve([]);
+  }
+  return createLoader(filePath).load();
+}
+
+/**
+ * 空的加载报告：skipped 为跳过的文件（不支持的格式 / 没有文本），failed 为加载出错的文件
+ */
+export function emptyLoadReport() {
+  return { loaded: [], skipped: [], failed: [] };
+}
+
+/**
+ * 把加载报告中的跳过 / 失败文件打印出来
+ */
+export function printLoadReport(report) {
+  if (report.skipped.length > 0) {
+    logger.warn(`⚠️ 跳过 ${report.skipped.length} 个文件：`);
+    report.skipped.forEach(({ source, reason }) => logger.warn(`  - ${source}：${reason}`));
+  }
+  if (report.failed.length > 0) {
+    logger.error(`❌ ${report.failed.length} 个文件加载失败：`);
+    report.failed.forEach(({ source, error }) => logger.error(`  - ${source}：${error}`));
+  }
+}
+
+/**
+ * 从 `.docs` 目录批量加载文档，返回 { documents, report }
+ */
+export async function loadDocumentsWithReport(options = {}) {
+  const docsDir = options.docsDir ?? path.resolve(process.cwd(), config.documents.docsDir);
+  const { files, unsupported } = await scanDocsDir(docsDir);
+  const report = emptyLoadReport();
+  unsupported.forEach((filePath) => {
+    report.skipped.push({ source: path.relative(process.cwd(), filePath), reason: "不支持的格式" });
   });
 
-  return loader.load();
+  const documents = [];
+  for (const filePath of files) {
+    const source = path.relative(process.cwd(), filePath);
+    try {
+      const docs = await loadFile(filePath);
+      if (docs.length === 0) {
+        report.skipped.push({ source, reason: "没有可提取的文本" });
+        continue;
+      }
+      documents.push(...docs);
+      report.loaded.push(source);
+    } catch (err) {
+      report.failed.push({ source, error: err?.message ?? String(err) });
+    }
+  }
+  return { documents, report };
 }
 
 /**
- * 使用 LangChain 的递归切分器切分文档（更贴近语义边界）
+ * 从 `.docs` 目录批量加载文档，并打印跳过 / 失败的文件
  */
-export function splitDocuments(documents, options = {}) {
-  const splitter = new RecursiveCharacterTextSplitter({
-    chunkSize: options.chunkSize ?? config.documents.chunkSize,
-    chunkOverlap: options.chunkOverlap ?? config.documents.chunkOverlap,
+export function loadDocuments(options = {}) {
+  return loadDocumentsWithReport(options).then(({ documents, report }) => {
+    printLoadReport(report);
+    return documents;
   });
+}
 
-  return splitter.splitDocuments(documents);
+/**
+ * 按 documents.splitters 为每种格式选择切分策略（Markdown 标题 / PDF 分页 / 中文句子 / 递归字符）
+ */
+export function splitDocuments(documents, options = {}) {
+  return splitByStrategy(documents, options);
 }
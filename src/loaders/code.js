@@ -0,0 +1,55 @@
+/**
+ * 源代码：按原文加载，metadata 记录语言与相对路径，切分时使用对应语言的分隔符
+ */
+
+import path from "node:path";
+
+import { Document } from "@langchain/core/documents";
+import { BufferLoader } from "@langchain/classic/document_loaders/fs/buffer";
+
+/**
+ * 扩展名 -> { language, splitter }；splitter 为 RecursiveCharacterTextSplitter.fromLanguage 支持的语言
+ */
+export const CODE_LANGUAGES = {
+  ".js": { language: "javascript", splitter: "js" },
+  ".mjs": { language: "javascript", splitter: "js" },
+  ".cjs": { language: "javascript", splitter: "js" },
+  ".jsx": { language: "javascript", splitter: "js" },
+  ".ts": { language: "typescript", splitter: "js" },
+  ".tsx": { language: "typescript", splitter: "js" },
+  ".py": { language: "python", splitter: "python" },
+  ".java": { language: "java", splitter: "java" },
+  ".go": { language: "go", splitter: "go" },
+  ".rs": { language: "rust", splitter: "rust" },
+  ".rb": { language: "ruby", splitter: "ruby" },
+  ".php": { language: "php", splitter: "php" },
+  ".c": { language: "c", splitter: "cpp" },
+  ".h": { language: "c", splitter: "cpp" },
+  ".cc": { language: "cpp", splitter: "cpp" },
+  ".cpp": { language: "cpp", splitter: "cpp" },
+  ".hpp": { language: "cpp", splitter: "cpp" },
+  ".scala": { language: "scala", splitter: "scala" },
+  ".swift": { language: "swift", splitter: "swift" },
+  ".proto": { language: "proto", splitter: "proto" },
+  ".sol": { language: "solidity", splitter: "sol" },
+  ".cs": { language: "csharp", splitter: null },
+  ".kt": { language: "kotlin", splitter: null },
+  ".sh": { language: "shell", splitter: null },
+  ".sql": { language: "sql", splitter: null },
+};
+
+/**
+ * 按 metadata.language 找到切分器语言（没有对应切分器时返回 null）
+ */
+export function splitterLanguageOf(language) {
+  return Object.values(CODE_LANGUAGES).find((l) => l.language === language)?.splitter ?? null;
+}
+
+export class CodeLoader extends BufferLoader {
+  async parse(raw, metadata) {
+    const text = raw.toString("utf-8");
+    if (!text.trim()) return [];
+    const { language } = CODE_LANGUAGES[path.extname(metadata.source ?? "").toLowerCase()] ?? { language: "" };
+    return [new Document({ pageContent: text, metadata: { ...metadata, language } })];
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * DOCX：DocxLoader 只取纯文本会丢掉标题与表格结构，这里改用 mammoth 的 HTML 输出再转成文本
+ */
+
+import { DocxLoader } from "@langchain/community/document_loaders/fs/docx";
+import { Document } from "@langchain/core/documents";
+import { htmlToText } from "./html.js";
+
+export class StructuredDocxLoader extends DocxLoader {
+  async parse(raw, metadata) {
+    const { convertToHtml } = await import("mammoth");
+    const { value } = await convertToHtml({ buffer: raw });
+    const text = htmlToText(value);
+    if (!text) return [];
+    return [new Document({ pageContent: text, metadata })];
+  }
+}
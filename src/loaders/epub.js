@@ -0,0 +1,52 @@
+/**
+ * EPUB：按 OPF 中的 spine 顺序读取各章节 XHTML，每章一个 Document
+ */
+
+import path from "node:path";
+
+import JSZip from "jszip";
+import { Document } from "@langchain/core/documents";
+import { BufferLoader } from "@langchain/classic/document_loaders/fs/buffer";
+import { decodeEntities, htmlTitle, htmlToText } from "./html.js";
+
+function attr(tag, name) {
+  const value = tag.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+  return value === undefined ? undefined : decodeEntities(value);
+}
+
+export class EpubLoader extends BufferLoader {
+  async parse(raw, metadata) {
+    const zip = await JSZip.loadAsync(raw);
+    const container = (await zip.file("META-INF/container.xml")?.async("string")) ?? "";
+    const opfPath = attr(container.match(/<rootfile\b[^>]*>/)?.[0] ?? "", "full-path");
+    const opf = opfPath ? await zip.file(opfPath)?.async("string") : null;
+    if (!opf) {
+      throw new Error("EPUB 缺少 OPF 文件（META-INF/container.xml 无效）");
+    }
+
+    const manifest = Object.fromEntries(
+      Array.from(opf.matchAll(/<item\b[^>]*>/g), ([tag]) => [attr(tag, "id"), attr(tag, "href")])
+    );
+    const baseDir = path.posix.dirname(opfPath);
+
+    const documents = [];
+    let chapter = 0;
+    for (const [tag] of opf.matchAll(/<itemref\b[^>]*>/g)) {
+      const href = manifest[attr(tag, "idref")];
+      if (!href) continue;
+      const entry = path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(href)));
+      const html = await zip.file(entry)?.async("string");
+      const text = html ? htmlToText(html) : "";
+      if (!text) continue;
+      chapter += 1;
+      const title = htmlTitle(html);
+      documents.push(
+        new Document({
+          pageContent: text,
+          metadata: { ...metadata, chapter, headingPath: title, section: title },
+        })
+      );
+    }
+    return documents;
+  }
+}
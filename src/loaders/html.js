@@ -0,0 +1,105 @@
+/**
+ * HTML -> 纯文本：标题转 #、表格转 Markdown 表格（首行为表头）、列表转 -、<pre> 转代码块
+ *
+ * 供 HTML 网页、DOCX（mammoth 输出的 HTML）与 EPUB 章节共用，输出可直接交给 markdown 切分策略。
+ */
+
+import { Document } from "@langchain/core/documents";
+import { BufferLoader } from "@langchain/classic/document_loaders/fs/buffer";
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+// 网页中与正文无关的部分
+const NOISE_RE = /<(script|style|noscript|template|svg|nav|aside|header|footer|form|button)\b[^>]*>[\s\S]*?<\/\1>/gi;
+
+export function decodeEntities(text) {
+  return String(text ?? "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === "#") {
+      const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+function inlineText(html) {
+  return decodeEntities(
+    String(html)
+      .replace(/<br\s*\/?>/gi, " ")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function tableToText(table) {
+  const rows = Array.from(table.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi), ([, row]) =>
+    Array.from(row.matchAll(/<t[dh]\b[^>]*>([\s\S]*?)<\/t[dh]>/gi), ([, cell]) =>
+      inlineText(cell).replace(/\|/g, "\\|")
+    )
+  ).filter((cells) => cells.length > 0);
+  if (rows.length === 0) return "";
+
+  const width = Math.max(...rows.map((cells) => cells.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] ?? "").join(" | ")} |`;
+  const [header, ...body] = rows;
+  return [line(header), line(Array(width).fill("---")), ...body.map(line)].join("\n");
+}
+
+/**
+ * 提取 <title>（没有时返回空字符串）
+ */
+export function htmlTitle(html) {
+  const match = String(html ?? "").match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? inlineText(match[1]) : "";
+}
+
+/**
+ * HTML -> Markdown 风格文本；有 <main> / <article> 时只取正文部分
+ */
+export function htmlToText(html) {
+  let body = String(html ?? "");
+  const main = body.match(/<(main|article)\b[^>]*>([\s\S]*)<\/\1>/i);
+  if (main) body = main[2];
+  else body = body.replace(/<head\b[^>]*>[\s\S]*?<\/head>/i, "");
+
+  const blocks = [];
+  // 先把 <pre> 与 <table> 换成占位符，避免后续的空白折叠破坏它们
+  const keep = (text) => `\n\n\u0000${blocks.push(text) - 1}\u0000\n\n`;
+
+  const text = body
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(NOISE_RE, "")
+    .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (_, code) =>
+      keep(`\`\`\`\n${decodeEntities(code.replace(/<[^>]+>/g, "")).replace(/\n+$/, "")}\n\`\`\``)
+    )
+    .replace(/<table\b[^>]*>([\s\S]*?)<\/table>/gi, (_, table) => keep(tableToText(table)))
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, title) =>
+      keep(`${"#".repeat(Number(level))} ${inlineText(title)}`)
+    )
+    .replace(/<li\b[^>]*>([\s\S]*?)<\/li>/gi, (_, item) => `\n- ${inlineText(item)}`)
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|section|blockquote|dd|dt|ul|ol)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .split("\n")
+    .map((line) => decodeEntities(line).replace(/[ \t ]+/g, " ").trim())
+    .join("\n");
+
+  return text
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => blocks[Number(i)])
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * .html / .htm 网页（如导出的 wiki 页面）
+ */
+export class HtmlLoader extends BufferLoader {
+  async parse(raw, metadata) {
+    const html = raw.toString("utf-8");
+    const text = htmlToText(html);
+    if (!text) return [];
+    const title = htmlTitle(html);
+    return [new Document({ pageContent: text, metadata: { ...metadata, title } })];
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * JSON（如 OpenAPI / 接口文档）：展开成每行一个“路径: 值”，保留键名上下文
+ *
+ * 例如 { "paths": { "/users": { "get": { "summary": "列出用户" } } } }
+ * -> paths./users.get.summary: 列出用户
+ */
+
+import { Document } from "@langchain/core/documents";
+import { BufferLoader } from "@langchain/classic/document_loaders/fs/buffer";
+
+export function flattenJson(value, prefix = "", lines = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => flattenJson(item, `${prefix}[${i}]`, lines));
+  } else if (value && typeof value === "object") {
+    Object.entries(value).forEach(([key, item]) => flattenJson(item, prefix ? `${prefix}.${key}` : key, lines));
+  } else if (value !== null && value !== undefined && String(value).trim() !== "") {
+    lines.push(`${prefix || "(root)"}: ${String(value).replace(/\s+/g, " ").trim()}`);
+  }
+  return lines;
+}
+
+export class JsonFlatLoader extends BufferLoader {
+  async parse(raw, metadata) {
+    let data;
+    try {
+      data = JSON.parse(raw.toString("utf-8").replace(/^\uFEFF/, ""));
+    } catch (err) {
+      throw new Error(`JSON 解析失败: ${err.message}`);
+    }
+    const text = flattenJson(data).join("\n");
+    if (!text) return [];
+    return [new Document({ pageContent: text, metadata })];
+  }
+}
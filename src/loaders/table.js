@@ -0,0 +1,158 @@
+/**
+ * 表格：CSV / TSV / XLSX
+ *
+ * 每一行转成一行“列名: 值 | 列名: 值”的文本，切分后每个 chunk 中的每一行都带着列名，
+ * 不依赖表头所在的 chunk。XLSX 每个工作表一个 Document，工作表名写入 section。
+ */
+
+import path from "node:path";
+
+import JSZip from "jszip";
+import { Document } from "@langchain/core/documents";
+import { BufferLoader } from "@langchain/classic/document_loaders/fs/buffer";
+import { decodeEntities } from "./html.js";
+
+/**
+ * 解析 CSV（支持双引号包裹、"" 转义与字段内换行）
+ */
+export function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * 首行作为表头，其余每行转成“列名: 值 | 列名: 值”；空单元格省略，空行跳过
+ */
+export function tableRowsToText(rows) {
+  const nonEmpty = rows.filter((cells) => cells.some((c) => String(c ?? "").trim()));
+  if (nonEmpty.length === 0) return "";
+  const [header, ...body] = nonEmpty;
+  const columns = header.map((name, i) => String(name ?? "").trim() || `列${i + 1}`);
+
+  if (body.length === 0) return columns.join(" | ");
+  return body
+    .map((cells) =>
+      cells
+        .map((value, i) => [columns[i] ?? `列${i + 1}`, String(value ?? "").replace(/\s+/g, " ").trim()])
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}: ${value}`)
+        .join(" | ")
+    )
+    .join("\n");
+}
+
+export class CsvLoader extends BufferLoader {
+  async parse(raw, metadata) {
+    const delimiter = path.extname(metadata.source ?? "").toLowerCase() === ".tsv" ? "\t" : ",";
+    const text = tableRowsToText(parseCsv(raw.toString("utf-8"), delimiter));
+    if (!text) return [];
+    return [new Document({ pageContent: text, metadata })];
+  }
+}
+
+function xmlText(xml) {
+  return decodeEntities(Array.from(String(xml).matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g), (m) => m[1]).join(""));
+}
+
+// A1 -> 0，AB12 -> 27
+function columnIndex(ref) {
+  const letters = String(ref ?? "").match(/^[A-Z]+/)?.[0] ?? "";
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+async function readZipText(zip, name) {
+  const file = zip.file(name.replace(/^\//, ""));
+  return file ? file.async("string") : "";
+}
+
+/**
+ * 读出 XLSX 各工作表的单元格文本（共享字符串 / 内联字符串 / 数值 / 布尔）
+ */
+export async function readXlsxSheets(raw) {
+  const zip = await JSZip.loadAsync(raw);
+  const sharedStrings = Array.from(
+    (await readZipText(zip, "xl/sharedStrings.xml")).matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g),
+    (m) => xmlText(m[1])
+  );
+  const relsXml = await readZipText(zip, "xl/_rels/workbook.xml.rels");
+  const targets = Object.fromEntries(
+    Array.from(relsXml.matchAll(/<Relationship\b[^>]*>/g), ([tag]) => [
+      tag.match(/\bId="([^"]+)"/)?.[1],
+      tag.match(/\bTarget="([^"]+)"/)?.[1],
+    ])
+  );
+  const workbookXml = await readZipText(zip, "xl/workbook.xml");
+
+  const sheets = [];
+  for (const [tag] of workbookXml.matchAll(/<sheet\b[^>]*>/g)) {
+    const name = decodeEntities(tag.match(/\bname="([^"]*)"/)?.[1] ?? "");
+    const target = targets[tag.match(/\br:id="([^"]+)"/)?.[1]];
+    if (!target) continue;
+    const sheetXml = await readZipText(zip, target.startsWith("/") ? target : `xl/${target}`);
+
+    const rows = Array.from(sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g), ([, rowXml]) => {
+      const cells = [];
+      for (const [, attrs, body] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const type = attrs.match(/\bt="([^"]+)"/)?.[1];
+        const value = decodeEntities(body?.match(/<v>([\s\S]*?)<\/v>/)?.[1] ?? "");
+        let text = value;
+        if (type === "s") text = sharedStrings[Number(value)] ?? "";
+        else if (type === "inlineStr") text = xmlText(body ?? "");
+        else if (type === "b") text = value === "1" ? "TRUE" : "FALSE";
+        const index = columnIndex(attrs.match(/\br="([^"]+)"/)?.[1]);
+        cells[index >= 0 ? index : cells.length] = text;
+      }
+      return Array.from(cells, (c) => c ?? "");
+    });
+    sheets.push({ name, rows });
+  }
+  return sheets;
+}
+
+export class XlsxLoader extends BufferLoader {
+  async parse(raw, metadata) {
+    const sheets = await readXlsxSheets(raw);
+    return sheets
+      .map(({ name, rows }) => ({ name, text: tableRowsToText(rows) }))
+      .filter(({ text }) => text)
+      .map(
+        ({ name, text }) =>
+          new Document({ pageContent: text, metadata: { ...metadata, headingPath: name, section: name } })
+      );
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * 结构化日志与请求追踪
+ *
+ * - 日志级别 debug / info / warn / error（logging.level），低于该级别的日志不输出
+ * - 输出格式 pretty（原有的 emoji 文本）或 json（每行一个 JSON 对象），统一写到 stderr
+ * - runWithTrace 为一次请求（问答、HTTP 请求）生成 traceId，期间的日志自动带上 traceId；
+ *   span 记录检索、生成、摘要、会话存储等环节的耗时，TraceCallbackHandler 记录每次模型调用的 prompt 大小与 token 耗时
+ * - logging.traceFile 不为空时，每个请求结束后把完整的追踪记录追加为 JSONL 的一行
+ *
+ * 本模块不依赖 config.js：config.js 加载完成后调用 configureLogger
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { performance } from "node:perf_hooks";
+
+import { BaseCallbackHandler } from "@langchain/core/callbacks/base";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+export const LOG_FORMATS = ["pretty", "json"];
+
+const settings = { level: "info", format: "pretty", traceFile: "" };
+const traceStorage = new AsyncLocalStorage();
+
+export function configureLogger(options = {}) {
+  if (LOG_LEVELS.includes(options.level)) settings.level = options.level;
+  if (LOG_FORMATS.includes(options.format)) settings.format = options.format;
+  if (typeof options.traceFile === "string") settings.traceFile = options.traceFile;
+}
+
+function errorFields(err) {
+  return err instanceof Error ? { message: err.message, name: err.name, stack: err.stack } : String(err);
+}
+
+function write(level, message, fields = {}) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return;
+  const traceId = traceStorage.getStore()?.traceId;
+
+  if (settings.format === "json") {
+    const entry = { time: new Date().toISOString(), level, msg: message, ...(traceId ? { traceId } : {}) };
+    Object.entries(fields).forEach(([key, value]) => {
+      entry[key] = key === "error" ? errorFields(value) : value;
+    });
+    process.stderr.write(`${JSON.stringify(entry)}\n`);
+    return;
+  }
+
+  // pretty：消息本身已是完整的一句话，字段只在 json 格式中输出；error 级别附上堆栈便于排查
+  const prefix = traceId ? `[${traceId.slice(0, 8)}] ` : "";
+  const stack = level === "error" && fields.error instanceof Error ? `\n${fields.error.stack}` : "";
+  process.stderr.write(`${prefix}${message}${stack}\n`);
+}
+
+export const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+/**
+ * 当前请求的追踪记录，不在请求中时为 undefined
+ */
+export function currentTrace() {
+  return traceStorage.getStore();
+}
+
+/**
+ * 给当前请求补充属性（知识库、threadId、改写后的问题等）
+ */
+export function annotateTrace(attributes) {
+  const trace = currentTrace();
+  if (trace) Object.assign(trace.attributes, attributes);
+}
+
+/**
+ * 记录一个事件（检索到的 chunk、agent 步骤等）
+ */
+export function traceEvent(name, data = {}) {
+  const trace = currentTrace();
+  if (trace) trace.events.push({ name, atMs: Math.round(performance.now() - trace.start), ...data });
+}
+
+/**
+ * 计时执行 fn：结束时输出 debug 日志并记入当前请求；超过 intervalMs 仍未结束时每隔 intervalMs 输出一次进度
+ */
+export function span(name, fn, fields = {}, intervalMs = 10000) {
+  const trace = currentTrace();
+  const start = performance.now();
+  const timer = setInterval(() => {
+    logger.info(`⏱️ ${name} 已运行 ${((performance.now() - start) / 1000).toFixed(0)}s`, { span: name, ...fields });
+  }, intervalMs);
+
+  const finish = (error) => {
+    clearInterval(timer);
+    const durationMs = Math.round((performance.now() - start) * 10) / 10;
+    const detail = Object.entries(fields)
+      .map(([key, value]) => ` ${key}=${value}`)
+      .join("");
+    logger.debug(`⏱️ ${name}${detail} ${durationMs}ms${error ? " error" : ""}`, {
+      span: name,
+      durationMs,
+      ...fields,
+      ...(error ? { error } : {}),
+    });
+    trace?.spans.push({
+      name,
+      startMs: Math.round(start - trace.start),
+      durationMs,
+      ...fields,
+      ...(error ? { error: error?.message ?? String(error) } : {}),
+    });
+  };
+
+  return Promise.resolve()
+    .then(fn)
+    .then(
+      (res) => {
+        finish(null);
+        return res;
+      },
+      (err) => {
+        finish(err);
+        throw err;
+      }
+    );
+}
+
+async function exportTrace(trace) {
+  const { start, ...record } = trace;
+  // span 在结束时记录，按开始时间排序后更容易看出嵌套关系
+  record.spans = [...trace.spans].sort((a, b) => a.startMs - b.startMs);
+  const filePath = path.resolve(process.cwd(), settings.traceFile);
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify(record)}\n`);
+  } catch (err) {
+    logger.warn(`⚠️ 追踪记录写入失败: ${err?.message ?? err}`, { error: err });
+  }
+}
+
+/**
+ * 在一个请求的追踪上下文中执行 fn(trace)；已在请求中时复用外层的 traceId（如 HTTP 请求内的问答）
+ * 结束后输出一条 info 日志，并按 logging.traceFile 导出
+ * @param {string} name - 请求类型，如 "ask"、"POST /api/ask"
+ * @param {Object} attributes - 请求属性
+ */
+export async function runWithTrace(name, attributes, fn) {
+  const parent = currentTrace();
+  if (parent) {
+    annotateTrace(attributes);
+    return fn(parent);
+  }
+
+  const trace = {
+    traceId: crypto.randomUUID(),
+    name,
+    startedAt: new Date().toISOString(),
+    start: performance.now(),
+    durationMs: null,
+    status: "ok",
+    error: null,
+    attributes: { ...attributes },
+    spans: [],
+    llmCalls: [],
+    events: [],
+  };
+  try {
+    return await traceStorage.run(trace, () => fn(trace));
+  } catch (err) {
+    trace.status = "error";
+    trace.error = err?.message ?? String(err);
+    throw err;
+  } finally {
+    trace.durationMs = Math.round(performance.now() - trace.start);
+    traceStorage.run(trace, () =>
+      logger.debug(`🧭 ${name} ${trace.status} ${trace.durationMs}ms`, { durationMs: trace.durationMs, status: trace.status })
+    );
+    if (settings.traceFile) await exportTrace(trace);
+  }
+}
+
+function messageChars(messages) {
+  return messages.reduce((n, m) => n + (typeof m.content === "string" ? m.content.length : JSON.stringify(m.content).length), 0);
+}
+
+/**
+ * 记录模型调用：prompt 消息数与字符数、首个 token 耗时、token 数、总耗时与 usage
+ * 每个请求创建一个实例，通过 callbacks 传给 Graph（子链与模型调用会继承）
+ */
+export class TraceCallbackHandler extends BaseCallbackHandler {
+  name = "rag_trace";
+
+  constructor(trace) {
+    super();
+    this.trace = trace;
+    this.runs = new Map();
+  }
+
+  handleChatModelStart(llm, messages, runId, parentRunId, extraParams, tags, metadata, runName) {
+    const prompt = messages.flat();
+    this.runs.set(runId, {
+      start: performance.now(),
+      call: {
+        name: runName ?? llm?.id?.at(-1) ?? "llm",
+        model: metadata?.ls_model_name ?? null,
+        startMs: Math.round(performance.now() - this.trace.start),
+        promptMessages: prompt.length,
+        promptChars: messageChars(prompt),
+        firstTokenMs: null,
+        tokens: 0,
+      },
+    });
+  }
+
+  handleLLMNewToken(token, idx, runId) {
+    const run = this.runs.get(runId);
+    if (!run) return;
+    if (run.call.firstTokenMs === null) run.call.firstTokenMs = Math.round(performance.now() - run.start);
+    run.call.tokens += 1;
+  }
+
+  finishRun(runId, fields) {
+    const run = this.runs.get(runId);
+    if (!run) return;
+    this.runs.delete(runId);
+    this.trace.llmCalls.push({ ...run.call, durationMs: Math.round(performance.now() - run.start), ...fields });
+  }
+
+  handleLLMEnd(output, runId) {
+    const message = output?.generations?.[0]?.[0]?.message;
+    const usage = message?.usage_metadata ?? output?.llmOutput?.tokenUsage ?? null;
+    const text = output?.generations?.[0]?.[0]?.text ?? "";
+    this.finishRun(runId, { outputChars: text.length, usage });
+  }
+
+  handleLLMError(err, runId) {
+    this.finishRun(runId, { error: err?.message ?? String(err) });
+  }
+}
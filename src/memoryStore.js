@@ -0,0 +1,81 @@
+/**
+ * 会话记忆存储：由 memory.store 选择后端，连接失败时回退到 memory.fallback
+ *
+ * - redis：docker-compose 中的 Redis（默认），支持 TTL 与多进程共享
+ * - file：JSON 文件（memory.filePath，默认 data/memory.json），无需任何外部服务
+ * - memory：进程内存储，不持久化
+ *
+ * 各后端实现同一组方法（见 src/memoryStores/*.js）：describe / open；
+ * open 返回的存储实例提供 describe / get / set(key, value, { ttlSeconds }) / del / keys(prefix)。
+ * 会话 payload 的结构与 key 规则见 qa.js。
+ */
+
+import { config } from "./config.js";
+import { fileBackend } from "./memoryStores/file.js";
+import { memoryBackend } from "./memoryStores/memory.js";
+import { redisBackend } from "./memoryStores/redis.js";
+import { logger } from "./logger.js";
+
+const BACKENDS = {
+  [redisBackend.type]: redisBackend,
+  [fileBackend.type]: fileBackend,
+  [memoryBackend.type]: memoryBackend,
+};
+
+// 进程内单例：首次使用时连接，之后一直使用同一个存储（回退后不会再切回 Redis）
+let storePromise = null;
+let status = null;
+
+export function getMemoryStoreBackend(type) {
+  const name = String(type ?? "").toLowerCase();
+  const backend = BACKENDS[name];
+  if (!backend) {
+    throw new Error(`不支持的 memory.store: "${name}"（可选：${Object.keys(BACKENDS).join(" / ")}）`);
+  }
+  return backend;
+}
+
+function openWithFallback(options = {}) {
+  const primary = getMemoryStoreBackend(options.store ?? config.memory.store);
+  const fallbackType = options.fallback ?? config.memory.fallback;
+  const fallback = fallbackType ? getMemoryStoreBackend(fallbackType) : null;
+
+  return primary
+    .open(options)
+    .then((store) => {
+      status = { type: primary.type, description: store.describe(), fallback: false, reason: null };
+      logger.info(`💾 会话记忆：${status.description}`);
+      return store;
+    })
+    .catch((err) => {
+      const reason = err?.message ?? String(err);
+      if (!fallback || fallback.type === primary.type) {
+        throw err;
+      }
+      logger.warn(`⚠️ ${primary.describe(options)} 不可用（${reason}），会话记忆改用 ${fallback.describe(options)}`);
+      return fallback.open(options).then((store) => {
+        status = { type: fallback.type, description: store.describe(), fallback: true, reason };
+        return store;
+      });
+    });
+}
+
+/**
+ * 获取会话记忆存储（首次调用时连接；失败时允许下次重试）
+ */
+export function getMemoryStore(options = {}) {
+  if (!storePromise) {
+    storePromise = openWithFallback(options).catch((err) => {
+      storePromise = null;
+      throw err;
+    });
+  }
+  return storePromise;
+}
+
+/**
+ * 当前使用的存储：{ type, description, fallback, reason }，尚未连接时为 null
+ */
+export function getMemoryStoreStatus() {
+  return status;
+}
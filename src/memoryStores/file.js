@@ -0,0 +1,56 @@
+/**
+ * JSON 文件后端（默认 data/memory.json）
+ *
+ * 整个文件是 { key: { value, expiresAt } }，每次写入 / 删除后整体写回（先写临时文件再 rename）。
+ * 适合单机单进程使用；多个进程同时写同一个文件时以最后一次写入为准。
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { config } from "../config.js";
+import { createEntryStore } from "./memory.js";
+
+function resolveFilePath(options = {}) {
+  return path.resolve(process.cwd(), options.filePath ?? config.memory.filePath);
+}
+
+async function readEntries(filePath) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, "utf-8"));
+    const valid = Object.entries(parsed && typeof parsed === "object" ? parsed : {}).filter(
+      ([, entry]) => typeof entry?.value === "string"
+    );
+    return new Map(valid.map(([key, entry]) => [key, { value: entry.value, expiresAt: entry.expiresAt ?? null }]));
+  } catch (err) {
+    if (err?.code === "ENOENT") return new Map();
+    throw new Error(`会话记忆文件 ${filePath} 无法读取: ${err.message}`);
+  }
+}
+
+export const fileBackend = {
+  type: "file",
+
+  describe(options = {}) {
+    return `JSON 文件 ${path.relative(process.cwd(), resolveFilePath(options))}`;
+  },
+
+  async open(options = {}) {
+    const filePath = resolveFilePath(options);
+    const entries = await readEntries(filePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // 串行写入，避免并发 rename 覆盖较新的内容
+    let writing = Promise.resolve();
+    const save = () => {
+      writing = writing.then(async () => {
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(Object.fromEntries(entries), null, 2));
+        await fs.rename(tmpPath, filePath);
+      });
+      return writing;
+    };
+
+    return createEntryStore(entries, () => fileBackend.describe(options), save);
+  },
+};
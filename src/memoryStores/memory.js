@@ -0,0 +1,59 @@
+/**
+ * 内存后端（进程内 Map，不持久化）
+ *
+ * 没有 Redis 也不想写文件时使用，进程退出后会话记忆丢失。
+ * TTL 按写入时的 ttlSeconds 计算过期时间，读取时惰性清理。
+ */
+
+/**
+ * 基于 Map 的 key-value 存储，file 后端复用（onChange 在每次写入 / 删除后调用）
+ * @param {Map<string, {value: string, expiresAt: number|null}>} entries
+ */
+export function createEntryStore(entries, describe, onChange = () => Promise.resolve()) {
+  const isExpired = (entry) => entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    describe,
+
+    get(key) {
+      return Promise.resolve(live(key)?.value ?? null);
+    },
+
+    set(key, value, { ttlSeconds = 0 } = {}) {
+      const ttl = Number(ttlSeconds);
+      entries.set(key, { value, expiresAt: Number.isFinite(ttl) && ttl > 0 ? Date.now() + ttl * 1000 : null });
+      return onChange();
+    },
+
+    del(key) {
+      const existed = live(key) !== null;
+      entries.delete(key);
+      return onChange().then(() => existed);
+    },
+
+    keys(prefix) {
+      return Promise.resolve(Array.from(entries.keys()).filter((key) => key.startsWith(prefix) && live(key)));
+    },
+  };
+}
+
+export const memoryBackend = {
+  type: "memory",
+
+  describe() {
+    return "内存（进程退出后丢失）";
+  },
+
+  open() {
+    return Promise.resolve(createEntryStore(new Map(), () => memoryBackend.describe()));
+  },
+};
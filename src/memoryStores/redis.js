@@ -0,0 +1,100 @@
+/**
+ * Redis 后端（docker-compose 中的 redis，默认）
+ *
+ * 首次连接失败时不无限重试（redis.connectRetries 次后放弃，由 memoryStore.js 决定是否回退）；
+ * 连接成功后断线则按退避间隔持续重连，重连期间的命令立即失败（不进入离线队列），
+ * 单个命令超过 redis.commandTimeoutMs 也失败，调用方不会一直等待。
+ */
+
+import { createClient } from "redis";
+import { config } from "../config.js";
+import { logger } from "../logger.js";
+
+function redisUrl(options = {}) {
+  return options.url ?? config.redis?.url;
+}
+
+/**
+ * 超过 ms 仍未返回时 reject（已发出的命令收不到回复时 node-redis 不会超时，例如 Redis 卡住或网络半断开）
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Redis ${label} 超时（${ms}ms）`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export const redisBackend = {
+  type: "redis",
+
+  describe(options = {}) {
+    return `Redis ${redisUrl(options)}`;
+  },
+
+  open(options = {}) {
+    const url = redisUrl(options);
+    if (!url) {
+      return Promise.reject(new Error("Redis url is not configured."));
+    }
+
+    const maxRetries = Math.max(0, Number(config.redis?.connectRetries ?? 2));
+    let connected = false;
+    const client = createClient({
+      url,
+      username: config.redis?.username || undefined,
+      password: config.redis?.password || undefined,
+      database: typeof config.redis?.db === "number" ? config.redis.db : undefined,
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: Number(config.redis?.connectTimeoutMs ?? 3000),
+        // 返回 Error 表示放弃重连，connect() 随之 reject
+        reconnectStrategy: (retries, cause) => {
+          if (!connected && retries >= maxRetries) return cause;
+          return Math.min(retries * 200, 3000);
+        },
+      },
+    });
+
+    client.on("error", (err) => {
+      // 首次连接阶段的错误由 connect() 的 reject 统一报告
+      if (connected) logger.warn(`⚠️ Redis error: ${err?.message ?? err}`, { error: err });
+    });
+
+    const commandTimeoutMs = Number(config.redis?.commandTimeoutMs ?? 5000);
+    return client.connect().then(() => {
+      connected = true;
+      return {
+        describe: () => redisBackend.describe(options),
+
+        get(key) {
+          return withTimeout(client.get(key), commandTimeoutMs, "GET");
+        },
+
+        set(key, value, { ttlSeconds = 0 } = {}) {
+          const ttl = Number(ttlSeconds);
+          const command = Number.isFinite(ttl) && ttl > 0 ? client.set(key, value, { EX: ttl }) : client.set(key, value);
+          return withTimeout(command, commandTimeoutMs, "SET");
+        },
+
+        del(key) {
+          return withTimeout(client.del(key), commandTimeoutMs, "DEL").then((removed) => removed > 0);
+        },
+
+        /**
+         * 使用 SCAN 遍历，避免 KEYS 阻塞 Redis
+         */
+        keys(prefix) {
+          const scan = async () => {
+            const found = [];
+            for await (const keys of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+              found.push(...keys);
+            }
+            return found;
+          };
+          return withTimeout(scan(), commandTimeoutMs, "SCAN");
+        },
+      };
+    });
+  },
+};
@@ -0,0 +1,188 @@
+/**
+ * 模型创建：聊天模型与 embedding 统一从这里获取，便于检索、重排、摘要等环节共用同一套配置
+ *
+ * 聊天与 embedding 分别由 models.chat / models.embedding 选择 provider：
+ * - ollama（默认）：本地 Ollama 服务，baseUrl / model 留空时使用 ollama.*
+ * - openai：OpenAI 兼容接口（OpenAI、vLLM、llama.cpp server、LM Studio 等），baseUrl 为 .../v1
+ */
+
+import { ChatOllama, OllamaEmbeddings } from "@langchain/ollama";
+import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+
+export const MODEL_PROVIDERS = ["ollama", "openai"];
+
+const OPENAI_DEFAULT_BASE_URL = "https://api.openai.com/v1";
+// 本地 OpenAI 兼容服务通常不校验 key，但 @langchain/openai 要求必须提供
+const PLACEHOLDER_API_KEY = "not-needed";
+
+// 各角色在 options / ollama.* 中对应的模型字段
+const MODEL_FIELDS = { chat: "chatModel", embedding: "embeddingModel" };
+
+/**
+ * 解析某个角色（chat / embedding）的模型配置
+ * options.chatModel / options.embeddingModel（如知识库配置）优先于 models.<role>.model
+ * @returns {{ role, provider, baseUrl, apiKey, model }}
+ */
+export function resolveModelSettings(role, options = {}) {
+  const settings = config.models[role];
+  const provider = String(settings.provider || "ollama").toLowerCase();
+  if (!MODEL_PROVIDERS.includes(provider)) {
+    throw new Error(`不支持的 models.${role}.provider: "${provider}"（可选：${MODEL_PROVIDERS.join(" / ")}）`);
+  }
+
+  const field = MODEL_FIELDS[role];
+  const baseUrl =
+    provider === "ollama"
+      ? options.ollamaBaseUrl ?? (settings.baseUrl || config.ollama.baseUrl)
+      : settings.baseUrl || OPENAI_DEFAULT_BASE_URL;
+  return {
+    role,
+    provider,
+    baseUrl: String(baseUrl).replace(/\/+$/, ""),
+    apiKey: settings.apiKey || "",
+    model: options[field] ?? (settings.model || config.ollama[field]),
+  };
+}
+
+/**
+ * 模型标识 "provider:model"，用于日志、评测报告与缓存签名
+ */
+export function describeModel(role, options = {}) {
+  const { provider, model } = resolveModelSettings(role, options);
+  return `${provider}:${model}`;
+}
+
+function openAIClientFields({ baseUrl, apiKey }) {
+  return {
+    apiKey: apiKey || (baseUrl === OPENAI_DEFAULT_BASE_URL ? undefined : PLACEHOLDER_API_KEY),
+    configuration: { baseURL: baseUrl },
+  };
+}
+
+export function createChatModel(options = {}) {
+  // 创建聊天模型，优先使用调用方传入的配置，否则回退到全局配置
+  const settings = resolveModelSettings("chat", options);
+  const temperature = options.temperature ?? config.ollama.temperature;
+  // 只在显式要求时传 streaming：ChatOpenAI 收到 streaming: false 会禁用流式，.stream() 也只返回一整块
+  const streaming = options.streaming === true ? { streaming: true } : {};
+
+  if (settings.provider === "openai") {
+    return new ChatOpenAI({ ...openAIClientFields(settings), model: settings.model, temperature, ...streaming });
+  }
+  return new ChatOllama({ baseUrl: settings.baseUrl, model: settings.model, temperature, ...streaming });
+}
+
+/**
+ * 创建底层 embedding 模型（计时与缓存由 buildVectorStore.js 的 createEmbeddings 包装）
+ */
+export function createEmbeddingModel(options = {}) {
+  const settings = resolveModelSettings("embedding", options);
+  if (settings.provider === "openai") {
+    // 部分兼容服务不支持 base64 编码的返回值，统一请求 float
+    return new OpenAIEmbeddings({ ...openAIClientFields(settings), model: settings.model, encodingFormat: "float" });
+  }
+  return new OllamaEmbeddings({ baseUrl: settings.baseUrl, model: settings.model });
+}
+
+function fetchJson(url, { headers = {}, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  return fetch(url, { headers, signal: controller.signal })
+    .then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .catch((err) => {
+      throw new Error(err?.name === "AbortError" ? `${timeoutMs}ms 内无响应` : err?.message ?? String(err));
+    })
+    .finally(() => clearTimeout(timer));
+}
+
+/**
+ * 列出服务端可用的模型：Ollama 为 /api/tags，OpenAI 兼容接口为 /models
+ */
+function listServerModels(settings, timeoutMs) {
+  if (settings.provider === "openai") {
+    const headers = settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+    return fetchJson(`${settings.baseUrl}/models`, { headers, timeoutMs }).then((body) =>
+      (body?.data ?? []).map((m) => m.id)
+    );
+  }
+  return fetchJson(`${settings.baseUrl}/api/tags`, { timeoutMs }).then((body) =>
+    (body?.models ?? []).map((m) => m.name ?? m.model)
+  );
+}
+
+function hasModel(provider, available, model) {
+  // Ollama 中省略 tag 的模型名等同于 :latest
+  const normalize = (name) => (provider === "ollama" && !String(name).includes(":") ? `${name}:latest` : String(name));
+  return available.map(normalize).includes(normalize(model));
+}
+
+/**
+ * 按 provider 检查聊天与 embedding 服务是否可用、模型是否存在（不抛错，供 CLI 启动与 /api/health 使用）
+ * @param {Object} options - 同 createChatModel / createEmbeddings，另可传 timeoutMs（默认 5000）
+ * @returns {Promise<Array<{ role, provider, baseUrl, model, ok, modelFound, error }>>}
+ */
+export async function checkModels(options = {}) {
+  const timeoutMs = options.timeoutMs ?? 5000;
+  const results = [];
+  // 同一服务只请求一次
+  const servers = new Map();
+
+  for (const role of Object.keys(MODEL_FIELDS)) {
+    const settings = resolveModelSettings(role, options);
+    const serverKey = `${settings.provider} ${settings.baseUrl} ${settings.apiKey}`;
+    if (!servers.has(serverKey)) {
+      servers.set(
+        serverKey,
+        listServerModels(settings, timeoutMs).then(
+          (models) => ({ models }),
+          (err) => ({ error: err.message })
+        )
+      );
+    }
+    const server = await servers.get(serverKey);
+    const { apiKey, ...visible } = settings;
+    results.push({
+      ...visible,
+      ok: !server.error,
+      modelFound: server.error ? false : hasModel(settings.provider, server.models, settings.model),
+      error: server.error ?? null,
+    });
+  }
+  return results;
+}
+
+/**
+ * 启动检查：服务无响应时抛出错误；服务可用但未列出所需模型时只给出提示（部分 OpenAI 兼容服务不会列出全部模型）
+ */
+export async function checkModelsReady(options = {}) {
+  const results = await checkModels(options);
+  results.forEach((r) => {
+    const label = `${r.role === "chat" ? "聊天" : "Embedding"}（${r.provider}）`;
+    if (!r.ok) {
+      logger.error(`❌ ${label} 无响应: ${r.baseUrl}（${r.error}）`);
+    } else if (!r.modelFound) {
+      const hint = r.provider === "ollama" ? `，可执行 ollama pull ${r.model}` : "";
+      logger.warn(`⚠️ ${label} 服务可用，但未找到模型 "${r.model}"${hint}`);
+    } else {
+      logger.info(`✅ ${label} 可用: ${r.baseUrl}，模型 ${r.model}`);
+    }
+  });
+
+  const failed = results.filter((r) => !r.ok);
+  if (failed.length > 0) {
+    throw new Error(`模型服务不可用: ${failed.map((r) => `${r.role} ${r.baseUrl}`).join("，")}`);
+  }
+  return results;
+}
+
+/**
+ * 去掉推理模型（如 qwen3）输出中的 <think>...</think> 段落
+ */
+export function stripThink(text) {
+  return String(text ?? "").replace(/<think>[\s\S]*?<\/think>\s*/gi, "");
+}
@@ -3,86 +3,79 @@
  * 目标：尽量用 LangChain 现成链路，减少自写 glue code
  */
 
-import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { ChatPromptTemplate, MessagesPlaceholder } from "@langchain/core/prompts";
+import { RunnableLambda } from "@langchain/core/runnables";
 import { AIMessage, HumanMessage, RemoveMessage, SystemMessage } from "@langchain/core/messages";
 import { mapChatMessagesToStoredMessages, mapStoredMessagesToChatMessages } from "@langchain/core/messages";
-import { createClient } from "redis";
 import { Annotation, END, REMOVE_ALL_MESSAGES, START, StateGraph, messagesStateReducer } from "@langchain/langgraph";
 import { createStuffDocumentsChain } from "@langchain/classic/chains/combine_documents";
 import { createRetrievalChain } from "@langchain/classic/chains/retrieval";
-import { ChatOllama } from "@langchain/ollama";
 import { summarizationMiddleware } from "langchain";
+import { CITATION_DOCUMENT_PROMPT, buildCitations, getPageNumber, labelDocuments } from "./citations.js";
+import { createAgentTools, runAgent } from "./agent.js";
+import { createRetriever } from "./retrievers.js";
+import { createEmbeddings, loadVectorStore, prepareVectorStore, vectorStoreExists } from "./buildVectorStore.js";
+import { verifyCollectionMeta } from "./collectionMeta.js";
+import { answerCacheSignature, isAnswerCacheEnabled, lookupCachedAnswer, saveCachedAnswer } from "./answerCache.js";
+import { DEFAULT_KNOWLEDGE_BASE, getKnowledgeBase } from "./knowledgeBases.js";
+import { parseFilter } from "./filters.js";
+import { createChatModel, stripThink } from "./models.js";
+import { getMemoryStore } from "./memoryStore.js";
 import { config } from "./config.js";
+import { TraceCallbackHandler, annotateTrace, logger, runWithTrace, span, traceEvent } from "./logger.js";
 
-export function createChatModel(options = {}) {
-  // 创建聊天模型，优先使用调用方传入的配置，否则回退到全局配置
-  return new ChatOllama({
-    baseUrl: options.ollamaBaseUrl ?? config.ollama.baseUrl,
-    model: options.chatModel ?? config.ollama.chatModel,
-    temperature: options.temperature ?? config.ollama.temperature,
-    streaming: options.streaming ?? false,
-  });
-}
-
-// Redis 客户端单例 Promise，避免重复连接
-let redisClientPromise = null;
-
-function getRedisClient() {
-  // 初始化 Redis 客户端，失败时清空 Promise 以允许重试
-  if (redisClientPromise) return redisClientPromise;
-
-  redisClientPromise = Promise.resolve()
-    .then(() => {
-      const url = config.redis?.url;
-      if (!url) {
-        throw new Error("Redis url is not configured.");
-      }
-
-      const client = createClient({
-        url,
-        username: config.redis?.username || undefined,
-        password: config.redis?.password || undefined,
-        database: typeof config.redis?.db === "number" ? config.redis.db : undefined,
-      });
-
-      client.on("error", (err) => {
-        console.warn("⚠️ Redis error:", err?.message ?? err);
-      });
+export { createChatModel };
 
-      return client.connect().then(() => client);
-    })
-    .catch((err) => {
-      redisClientPromise = null;
-      throw err;
-    });
-
-  return redisClientPromise;
+/**
+ * 某个知识库的会话 key 前缀：default 知识库沿用原有的 `${keyPrefix}<threadId>`，
+ * 其他知识库为 `${keyPrefix}kb:<知识库>:<threadId>`，同名会话在不同知识库之间互不影响
+ */
+function threadKeyPrefix(knowledgeBase = DEFAULT_KNOWLEDGE_BASE) {
+  const prefix = config.redis?.keyPrefix ?? "rag:mem:";
+  const kb = String(knowledgeBase || DEFAULT_KNOWLEDGE_BASE);
+  return kb === DEFAULT_KNOWLEDGE_BASE ? prefix : `${prefix}kb:${kb}:`;
 }
 
-function redisKeyForThread(threadId) {
-  // 按 threadId 生成 Redis key，支持自定义前缀
-  const prefix = config.redis?.keyPrefix ?? "rag:mem:";
+/**
+ * 规范化 threadId（空值为 "default"）
+ *
+ * 其他知识库的 key 以 `${keyPrefix}kb:` 开头，以 "kb:" 开头的 threadId 在 default 知识库中会与之冲突，因此一律拒绝
+ */
+export function normalizeThreadId(threadId) {
   const id = String(threadId || "default");
-  return `${prefix}${id}`;
+  if (id.startsWith("kb:")) {
+    throw new Error(`threadId 不能以 "kb:" 开头（该前缀用于区分知识库）: "${id}"`);
+  }
+  return id;
 }
 
-async function loadMessagesFromRedis(threadId) {
-  // 从 Redis 读取并反序列化消息
-  const client = await getRedisClient();
-  const key = redisKeyForThread(threadId);
-  const raw = await client.get(key);
-  if (!raw) return [];
+function keyForThread(threadId, knowledgeBase) {
+  // 按知识库 + threadId 生成存储 key，支持自定义前缀
+  const id = normalizeThreadId(threadId);
+  return `${threadKeyPrefix(knowledgeBase)}${id}`;
+}
 
-  const parsed = JSON.parse(raw);
+async function loadThreadPayload(threadId, knowledgeBase) {
+  // 从会话存储读取原始 payload（buildThreadPayload 的结构），不存在时返回 null
+  const store = await getMemoryStore();
+  const key = keyForThread(threadId, knowledgeBase);
+  const raw = await store.get(key);
+  if (!raw) return null;
+  return JSON.parse(raw);
+}
+
+async function loadMessagesFromStore(threadId, knowledgeBase) {
+  // 从会话存储读取并反序列化消息
+  const parsed = await loadThreadPayload(threadId, knowledgeBase);
   const stored = Array.isArray(parsed?.messages) ? parsed.messages : [];
   return mapStoredMessagesToChatMessages(stored);
 }
 
 function mapMessagesForStorage(messages) {
-  // 清理 <think> 与 think 字段，避免写入 Redis
+  // 清理 <think> 与 think 字段，避免写入会话存储
   const stripThinkFromContent = (content) => {
     if (typeof content !== "string") return content;
-    return content.replace(/<think>[\s\S]*?<\/think>\s*/gi, "");
+    return stripThink(content);
   };
   const stripThinkFields = (obj) => {
     if (!obj || typeof obj !== "object") return obj;
@@ -105,37 +98,133 @@ function mapMessagesForStorage(messages) {
   });
 }
 
-function buildRedisPayload(messages) {
-  // 统一 Redis 存储结构，便于版本演进
+function buildThreadPayload(messages, knowledgeBase) {
+  // 统一会话存储结构，便于版本演进
   return {
     schemaVersion: 1,
     updatedAt: Date.now(),
+    knowledgeBase: knowledgeBase ?? DEFAULT_KNOWLEDGE_BASE,
     messages: mapMessagesForStorage(messages),
   };
 }
 
-function estimateRedisValueBytes(messages) {
-  // 估算 Redis value 字节大小，用于判断是否触发压缩
-  const payload = buildRedisPayload(messages);
+function estimatePayloadBytes(messages) {
+  // 估算存储 value 字节大小，用于判断是否触发压缩
+  const payload = buildThreadPayload(messages);
   return Buffer.byteLength(JSON.stringify(payload));
 }
 
-async function saveMessagesToRedis(threadId, messages) {
-  // 将消息持久化到 Redis，可选 TTL
-  const client = await getRedisClient();
-  const key = redisKeyForThread(threadId);
-  const payload = buildRedisPayload(messages);
-  const ttlSeconds = Number(config.redis?.ttlSeconds ?? 0);
-  if (Number.isFinite(ttlSeconds) && ttlSeconds > 0) {
-    await client.set(key, JSON.stringify(payload), { EX: ttlSeconds });
-  } else {
-    await client.set(key, JSON.stringify(payload));
-  }
+async function saveMessagesToStore(threadId, messages, knowledgeBase) {
+  // 将消息持久化到会话存储，可选 TTL
+  const store = await getMemoryStore();
+  const key = keyForThread(threadId, knowledgeBase);
+  const payload = buildThreadPayload(messages, knowledgeBase);
+  await store.set(key, JSON.stringify(payload), { ttlSeconds: config.redis?.ttlSeconds ?? 0 });
+}
+
+/**
+ * 列出某个知识库在会话存储中的所有 threadId（Redis 后端使用 SCAN）
+ */
+export async function listThreads(knowledgeBase = DEFAULT_KNOWLEDGE_BASE) {
+  const store = await getMemoryStore();
+  const prefix = threadKeyPrefix(knowledgeBase);
+  // default 知识库的前缀同时匹配其他知识库的 key，需要排除
+  const otherKbPrefix = `${config.redis?.keyPrefix ?? "rag:mem:"}kb:`;
+  const isDefault = prefix === threadKeyPrefix(DEFAULT_KNOWLEDGE_BASE);
+  const keys = await store.keys(prefix);
+  return keys
+    .filter((key) => !isDefault || !key.startsWith(otherKbPrefix))
+    .map((key) => key.slice(prefix.length))
+    .sort();
+}
+
+/**
+ * 读取某个知识库中的一个会话（消息已反序列化），不存在时返回 null
+ * @returns {Promise<{threadId, knowledgeBase, schemaVersion, updatedAt, messages: BaseMessage[]}|null>}
+ */
+export async function getThread(threadId, knowledgeBase = DEFAULT_KNOWLEDGE_BASE) {
+  const payload = await loadThreadPayload(threadId, knowledgeBase);
+  if (!payload) return null;
+  return {
+    threadId: normalizeThreadId(threadId),
+    knowledgeBase: payload.knowledgeBase ?? knowledgeBase,
+    schemaVersion: payload.schemaVersion ?? 1,
+    updatedAt: payload.updatedAt ?? null,
+    messages: mapStoredMessagesToChatMessages(Array.isArray(payload.messages) ? payload.messages : []),
+  };
+}
+
+/**
+ * 删除某个知识库中某个会话的全部记忆
+ */
+export async function deleteThread(threadId, knowledgeBase = DEFAULT_KNOWLEDGE_BASE) {
+  const store = await getMemoryStore();
+  return store.del(keyForThread(threadId, knowledgeBase));
+}
+
+/**
+ * 是否为 summarize 节点生成的历史摘要消息
+ */
+export function isSummaryMessage(message) {
+  const prefix = config.redis?.summaryPrefix ?? "对话摘要：";
+  return HumanMessage.isInstance(message) && typeof message.content === "string" && message.content.startsWith(prefix);
+}
+
+/**
+ * 选出注入 prompt 的历史：摘要消息始终保留，其余只取最近 N 条；AI 消息去掉 <think>
+ */
+function selectHistory(messages) {
+  const keepLastN = Math.max(0, Number(config.conversation?.historyMessages ?? 6));
+  const dialog = messages.filter((m) => HumanMessage.isInstance(m) || AIMessage.isInstance(m));
+  const summaries = dialog.filter(isSummaryMessage);
+  const recent = keepLastN > 0 ? dialog.filter((m) => !isSummaryMessage(m)).slice(-keepLastN) : [];
+  return [...summaries, ...recent].map((m) =>
+    AIMessage.isInstance(m) ? new AIMessage(stripThink(m.content)) : new HumanMessage(String(m.content))
+  );
+}
+
+/**
+ * 追踪记录中的检索结果：编号、来源、页码、长度与开头片段，便于事后排查回答依据
+ */
+function describeChunks(context) {
+  return (Array.isArray(context) ? context : []).map((doc) => ({
+    index: doc.metadata?.citationIndex ?? null,
+    source: doc.metadata?.source ?? null,
+    page: getPageNumber(doc.metadata),
+    pk: doc.metadata?.pk ?? doc.id ?? null,
+    chars: doc.pageContent.length,
+    preview: doc.pageContent.replace(/\s+/g, " ").slice(0, 120),
+  }));
+}
+
+/**
+ * 用 LLM 把依赖上下文的追问（如“那它的缺点呢？”）改写为可独立检索的问题
+ */
+async function condenseQuestion(model, history, question) {
+  const transcript = history
+    .map((m) => {
+      const role = AIMessage.isInstance(m) ? "助手" : "用户";
+      const text = String(m.content).replace(/\s+/g, " ").slice(0, 500);
+      return `${role}：${text}`;
+    })
+    .join("\n");
+
+  const res = await model.invoke([
+    new SystemMessage(
+      [
+        "根据对话历史，把用户的最新问题改写成一个不依赖上下文、可以单独用于知识库检索的问题。",
+        "补全代词和省略的主语；如果最新问题本身已经完整，原样输出。",
+        "只输出改写后的问题，不要回答问题，不要输出其他内容。",
+      ].join("\n")
+    ),
+    new HumanMessage(`对话历史：\n${transcript}\n\n最新问题：${question}\n\n改写后的问题：`),
+  ]);
+  return stripThink(res?.content).trim().split("\n")[0].trim();
 }
 
 //
 export function createRagChain(vectorStore, options = {}) {
-  // 创建检索+生成链路
+  // 创建检索+生成链路：input 用于检索，question 为用户原始问题，chat_history 为最近的对话
   const llm = createChatModel(options);
 
   const prompt = ChatPromptTemplate.fromMessages([
@@ -144,20 +233,28 @@ export function createRagChain(vectorStore, options = {}) {
       [
         "你是一个基于给定上下文回答问题的助手。",
         "只能使用上下文中的信息回答；\"。",
+        "上下文中每个片段以 [编号] 开头；引用某个片段的内容时，在句末用对应编号标注来源，例如 [1] 或 [1][2]。",
         "回答请使用中文。"
         ,
       ].join("\n"),
     ],
-    ["human", "问题：{input}\n\n上下文：\n{context}"],
+    new MessagesPlaceholder("chat_history"),
+    ["human", "问题：{question}\n\n上下文：\n{context}"],
   ]);
 
-  return createStuffDocumentsChain({
-    llm,
-    prompt,
-  }).then((combineDocsChain) => {
-    const retriever = vectorStore.asRetriever({
-      k: options.topK ?? config.retrieval.topK,
-    });
+  return Promise.all([
+    createStuffDocumentsChain({
+      llm,
+      prompt,
+      documentPrompt: CITATION_DOCUMENT_PROMPT,
+    }),
+    createRetriever(vectorStore, options),
+  ]).then(([combineDocsChain, baseRetriever]) => {
+    // 检索结果按顺序编号，供 prompt 中的 [n] 引用与回答后的引用列表共用
+    const labelled = baseRetriever.pipe(RunnableLambda.from(labelDocuments));
+    const retriever = RunnableLambda.from((input, runConfig) =>
+      span("retrieve", () => labelled.invoke(input, runConfig))
+    );
 
     return createRetrievalChain({
       retriever,
@@ -166,11 +263,42 @@ export function createRagChain(vectorStore, options = {}) {
   });
 }
 
-export function createRagGraph(vectorStore, options = {}) {
-  // 构建 LangGraph：hydrate -> ingest -> rag -> summarize -> persist
-  return createRagChain(vectorStore, options).then((ragChain) => {
+/**
+ * 构建某个知识库的 LangGraph：hydrate -> ingest -> condense -> rag | agent -> summarize -> persist
+ *
+ * 检索使用该知识库的向量库与 topK / chatModel 等配置，会话记忆也按知识库隔离。
+ * agent 模式（state.agentMode，未指定时按 agent.enabled）走 agent 节点：多步调用检索工具后回答，见 agent.js。
+ * @param {string} [knowledgeBase] - 知识库名称（见 knowledgeBases.js），默认为 config.knowledgeBase
+ * @param {Object} [options] - 覆盖知识库配置；options.vectorStore 可传入已同步的向量库实例，省去重新加载
+ */
+export function createRagGraph(knowledgeBase, options = {}) {
+  const kb = getKnowledgeBase(knowledgeBase);
+  const { vectorStore: loadedStore, ...overrides } = options;
+  const graphOptions = { ...kb, ...overrides };
+  const kbName = kb.knowledgeBase;
+
+  const vectorStorePromise = loadedStore
+    ? Promise.resolve(loadedStore)
+    : loadVectorStore(graphOptions).then(async (vs) => {
+        // 直接加载（未经过 sync）时同样校验 embedding 模型与向量库是否兼容
+        if (await vectorStoreExists(vs)) await verifyCollectionMeta(vs, graphOptions);
+        await prepareVectorStore(vs);
+        return vs;
+      });
+
+  // 语义回答缓存：签名每次问答时取（manifest 未变时直接用缓存的结果），其他进程 sync 后旧缓存也随之失效
+  const cacheEnabled = isAnswerCacheEnabled(graphOptions);
+
+  return vectorStorePromise.then(async (vectorStore) => {
+    const ragChain = await createRagChain(vectorStore, graphOptions);
+    const cacheEmbeddings = cacheEnabled ? createEmbeddings(graphOptions) : null;
     // 摘要模型与主模型保持一致，确保输出风格一致
-    const summaryModel = createChatModel(options);
+    const summaryModel = createChatModel(graphOptions);
+    // 改写问题需要确定性输出
+    const condenseModel = createChatModel({ ...graphOptions, temperature: 0 });
+    // agent 工具共用一份全量 chunk / BM25 索引（首次调用时构建）
+    const agentTools = createAgentTools(vectorStore, graphOptions);
+    const useAgent = (state) => state.agentMode ?? graphOptions.agent?.enabled ?? config.agent.enabled;
 
     //生成state（Graph的全局变量）
     const GraphState = Annotation.Root({
@@ -182,14 +310,27 @@ export function createRagGraph(vectorStore, options = {}) {
       input: Annotation(),
       answer: Annotation(),
       context: Annotation(),
+      // 结合对话历史改写后的独立检索问题
+      query: Annotation(),
+      // 注入回答 prompt 的最近对话（含摘要）
+      history: Annotation(),
+      // 本轮检索的元数据过滤条件（parseFilter 的结果），为空表示不过滤
+      filter: Annotation(),
+      // 命中语义缓存时为 { question, similarity }，否则为 null
+      cached: Annotation(),
+      // 本轮是否使用 agent 模式；为空时按配置
+      agentMode: Annotation(),
+      // agent 模式的步骤记录（思考、工具调用与观察），普通模式为 null
+      trace: Annotation(),
     });
 
     const graph = new StateGraph(GraphState)
       .addNode("hydrate", async (state) => {
-        // 从 Redis 恢复历史消息到内存状态
+        // 从会话存储恢复历史消息到内存状态
         try {
           const threadId = state.threadId ?? "default";
-          const restored = await loadMessagesFromRedis(threadId);
+          annotateTrace({ knowledgeBase: kbName, threadId });
+          const restored = await span("memory.load", () => loadMessagesFromStore(threadId, kbName));
           if (!Array.isArray(restored) || restored.length === 0) {
             return {};
           }
@@ -197,7 +338,7 @@ export function createRagGraph(vectorStore, options = {}) {
             messages: [new RemoveMessage({ id: REMOVE_ALL_MESSAGES }), ...restored],
           };
         } catch (e) {
-          console.warn("⚠️ Redis hydrate failed:", e?.message ?? e);
+          logger.warn(`⚠️ Memory hydrate failed: ${e?.message ?? e}`, { error: e });
           return {};
         }
       })
@@ -207,24 +348,128 @@ export function createRagGraph(vectorStore, options = {}) {
           messages: [new HumanMessage(state.input)],
         };
       })
-      .addNode("rag", async (state) => {
-        // 执行 RAG 生成，并写入 AI 消息
-        const res = await ragChain.invoke({ input: state.input });
-        const answer = String(res?.answer ?? res?.output ?? "");
-        const context = res?.context ?? [];
+      .addNode("condense", async (state) => {
+        // 结合历史把追问改写为独立问题，并挑出注入 prompt 的最近对话
+        const messages = Array.isArray(state.messages) ? state.messages : [];
+        // 最后一条是 ingest 刚追加的本轮问题
+        const history = selectHistory(messages.slice(0, -1));
+        if (history.length === 0 || !config.conversation?.condenseQuestion) {
+          return { query: state.input, history };
+        }
+        try {
+          const query = await span("condense", () => condenseQuestion(condenseModel, history, state.input));
+          annotateTrace({ query: query || state.input });
+          return { query: query || state.input, history };
+        } catch (e) {
+          logger.warn(`⚠️ Condense failed: ${e?.message ?? e}`, { error: e });
+          return { query: state.input, history };
+        }
+      })
+      .addNode("rag", async (state, runConfig) => {
+        // 执行 RAG 生成，并写入 AI 消息；调用方传入 onToken 时改为流式生成
+        const onToken = runConfig?.configurable?.onToken;
+        const ragInput = {
+          input: state.query || state.input,
+          question: state.input,
+          chat_history: state.history ?? [],
+        };
+
+        // 先查语义缓存：命中时跳过检索与生成，整段回答作为一个 token 输出
+        let embedding = null;
+        let cacheOptions = null;
+        if (cacheEmbeddings) {
+          try {
+            cacheOptions = { ...graphOptions, signature: await answerCacheSignature(graphOptions) };
+            embedding = await cacheEmbeddings.embedQuery(ragInput.input);
+            const hit = await span("answerCache.lookup", () =>
+              lookupCachedAnswer(embedding, { ...cacheOptions, filter: state.filter ?? null })
+            );
+            if (hit) {
+              traceEvent("answerCache.hit", { question: hit.question, similarity: hit.similarity });
+              if (typeof onToken === "function") await onToken(hit.answer);
+              return {
+                answer: hit.answer,
+                context: hit.context,
+                cached: { question: hit.question, similarity: hit.similarity },
+                trace: null,
+                messages: [new AIMessage(hit.answer)],
+              };
+            }
+          } catch (e) {
+            logger.warn(`⚠️ Answer cache lookup failed: ${e?.message ?? e}`, { error: e });
+          }
+        }
+
+        // 过滤条件经 configurable 传给检索器
+        const chainConfig = { configurable: { filter: state.filter ?? null } };
+        let answer = "";
+        let context = [];
+        await span("generate", async () => {
+          if (typeof onToken === "function") {
+            const stream = await ragChain.stream(ragInput, chainConfig);
+            for await (const chunk of stream) {
+              if (Array.isArray(chunk?.context)) {
+                context = chunk.context;
+              }
+              if (typeof chunk?.answer === "string" && chunk.answer) {
+                answer += chunk.answer;
+                await onToken(chunk.answer);
+              }
+            }
+          } else {
+            const res = await ragChain.invoke(ragInput, chainConfig);
+            answer = String(res?.answer ?? res?.output ?? "");
+            context = res?.context ?? [];
+          }
+        });
+        traceEvent("retrieval", { query: ragInput.input, chunks: describeChunks(context) });
+
+        if (cacheOptions && embedding && answer) {
+          await saveCachedAnswer(
+            { question: ragInput.input, embedding, answer, context },
+            { ...cacheOptions, filter: state.filter ?? null }
+          ).catch((e) => {
+            logger.warn(`⚠️ Answer cache save failed: ${e?.message ?? e}`, { error: e });
+          });
+        }
+        return {
+          answer,
+          context,
+          cached: null,
+          trace: null,
+          messages: [new AIMessage(answer)],
+        };
+      })
+      .addNode("agent", async (state, runConfig) => {
+        // 多步检索：模型自行选择工具收集资料，回答只引用收集到的 chunk；不使用语义缓存
+        const { answer, context, trace } = await span("agent", () =>
+          runAgent({
+            vectorStore,
+            question: state.query || state.input,
+            history: state.history ?? [],
+            filter: state.filter ?? null,
+            options: graphOptions,
+            tools: agentTools,
+            onToken: runConfig?.configurable?.onToken,
+            onStep: runConfig?.configurable?.onAgentStep,
+          })
+        );
+        traceEvent("retrieval", { query: state.query || state.input, chunks: describeChunks(context) });
         return {
           answer,
           context,
+          cached: null,
+          trace,
           messages: [new AIMessage(answer)],
         };
       })
       .addNode("summarize", async (state) => {
-        // 当 Redis value 超过阈值时，将历史消息压缩为摘要
+        // 当存储 value 超过阈值时，将历史消息压缩为摘要
         try {
           const messages = Array.isArray(state.messages) ? state.messages : [];
           const maxValueBytes = Number(config.redis?.maxValueBytes ?? 0);
           if (!Number.isFinite(maxValueBytes) || maxValueBytes <= 0) return {};
-          const estimatedSize = estimateRedisValueBytes(messages);
+          const estimatedSize = estimatePayloadBytes(messages);
           if (estimatedSize <= maxValueBytes) return {};
 
           // system 消息永久保留
@@ -242,9 +487,10 @@ export function createRagGraph(vectorStore, options = {}) {
             keep: { messages: keepLastN },
             summaryPrefix: config.redis?.summaryPrefix ?? "对话摘要：",
           });
-          const res = await middleware.beforeModel(
-            { messages: nonSystemMessages },
-            { context: {} }
+          const res = await span(
+            "summarize",
+            () => middleware.beforeModel({ messages: nonSystemMessages }, { context: {} }),
+            { messages: nonSystemMessages.length, bytes: estimatedSize }
           );
           if (!res?.messages) return {};
           const summarizedMessages = res.messages.filter(
@@ -259,24 +505,28 @@ export function createRagGraph(vectorStore, options = {}) {
             ],
           };
         } catch (e) {
-          console.warn("⚠️ Summarize failed:", e?.message ?? e);
+          logger.warn(`⚠️ Summarize failed: ${e?.message ?? e}`, { error: e });
           return {};
         }
       })
       .addNode("persist", async (state) => {
-        // 将最终消息写回 Redis
+        // 将最终消息写回会话存储
         try {
           const threadId = state.threadId ?? "default";
-          await saveMessagesToRedis(threadId, state.messages ?? []);
+          await span("memory.save", () => saveMessagesToStore(threadId, state.messages ?? [], kbName), {
+            messages: state.messages?.length ?? 0,
+          });
         } catch (e) {
-          console.warn("⚠️ Redis persist failed:", e?.message ?? e);
+          logger.warn(`⚠️ Memory persist failed: ${e?.message ?? e}`, { error: e });
         }
         return {};
       })
       .addEdge(START, "hydrate")
       .addEdge("hydrate", "ingest")
-      .addEdge("ingest", "rag")
+      .addEdge("ingest", "condense")
+      .addConditionalEdges("condense", (state) => (useAgent(state) ? "agent" : "rag"), ["agent", "rag"])
       .addEdge("rag", "summarize")
+      .addEdge("agent", "summarize")
       .addEdge("summarize", "persist")
       .addEdge("persist", END);
 
@@ -284,13 +534,34 @@ export function createRagGraph(vectorStore, options = {}) {
   });
 }
 
-export function ask(ragApp, state, question) {
-  // 对外统一入口，返回更新后的状态与答案
-  return ragApp.invoke({ ...state, input: question }).then((nextState) => {
-    return {
-      state: nextState,
-      answer: String(nextState?.answer ?? ""),
-      context: nextState?.context ?? [],
-    };
-  });
+export function ask(ragApp, state, question, options = {}) {
+  // 对外统一入口，返回更新后的状态与答案（cached 表示来自语义缓存）；options.onToken 用于逐 token 输出，
+  // options.filter 限定本轮检索范围（字符串 "source=.docs/x.pdf type=pdf" 或对象，见 parseFilter），
+  // options.agent 指定本轮是否使用 agent 模式（省略时按配置），options.onAgentStep 在 agent 每完成一步时调用。
+  // 每次问答在一个追踪上下文中执行（见 logger.js），返回的 traceId 对应日志与 logging.traceFile 中的记录
+  const configurable = { onToken: options.onToken, onAgentStep: options.onAgentStep };
+  const attributes = { question, threadId: state?.threadId ?? "default", agent: options.agent ?? null };
+  return runWithTrace("ask", attributes, (trace) =>
+    ragApp
+      .invoke(
+        { ...state, input: question, filter: parseFilter(options.filter), agentMode: options.agent ?? null },
+        { configurable, callbacks: [new TraceCallbackHandler(trace)] }
+      )
+      .then((nextState) => {
+        const answer = String(nextState?.answer ?? "");
+        const context = nextState?.context ?? [];
+        return {
+          state: nextState,
+          answer,
+          query: nextState?.query ?? question,
+          context,
+          citations: buildCitations(context, answer),
+          // 命中语义缓存时为 { question, similarity }
+          cached: nextState?.cached ?? null,
+          // agent 模式的步骤记录，普通模式为 null
+          trace: nextState?.trace ?? null,
+          traceId: trace.traceId,
+        };
+      })
+  );
 }
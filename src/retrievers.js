@@ -0,0 +1,276 @@
+/**
+ * 检索器：向量检索 + BM25 关键词检索（可选），用加权 RRF 融合
+ *
+ * - 向量检索：vectorStore.asRetriever
+ * - 关键词检索：基于向量库中同一批 chunk 构建的 BM25 索引（中文分词 + 字二元组）
+ * - 融合：EnsembleRetriever 的加权 Reciprocal Rank Fusion
+ * - 重排（可选）：多召回 fetchK 个候选，按问题重新打分后保留最好的 topK
+ * - 元数据过滤（可选）：按 source / 目录 / 文件类型等条件限定检索范围
+ */
+
+import { BaseRetriever } from "@langchain/core/retrievers";
+import { RunnableLambda } from "@langchain/core/runnables";
+import { EnsembleRetriever } from "@langchain/classic/retrievers/ensemble";
+import { Document } from "@langchain/core/documents";
+import { createVectorStoreFilter, listDocuments } from "./buildVectorStore.js";
+import { config } from "./config.js";
+import { parseFilter, toPredicate } from "./filters.js";
+import { createChatModel, stripThink } from "./models.js";
+import { logger } from "./logger.js";
+
+const segmenter = new Intl.Segmenter("zh", { granularity: "word" });
+
+// 错误码 / 标识符（ERR_CODE_1024、E-1024、foo.bar、v1.2.3）整体保留为一个 token
+const IDENTIFIER_RE = /[A-Za-z0-9]+(?:[-_.:/][A-Za-z0-9]+)+/g;
+const CJK_RUN_RE = /[㐀-鿿豈-﫿]{2,}/g;
+
+/**
+ * 中文友好的分词：Intl.Segmenter 词语 + 标识符整体 + 连续汉字的二元组（兜底词典外的专有名词）
+ */
+export function tokenize(text) {
+  const source = String(text ?? "");
+  const tokens = [];
+
+  for (const { segment, isWordLike } of segmenter.segment(source)) {
+    if (isWordLike) tokens.push(segment.toLowerCase());
+  }
+  const words = new Set(tokens);
+  for (const match of source.matchAll(IDENTIFIER_RE)) {
+    const identifier = match[0].toLowerCase();
+    // Segmenter 已整体切出的标识符不再重复计数
+    if (!words.has(identifier)) tokens.push(identifier);
+  }
+  for (const match of source.matchAll(CJK_RUN_RE)) {
+    const run = match[0];
+    for (let i = 0; i < run.length - 1; i += 1) {
+      tokens.push(run.slice(i, i + 2));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Okapi BM25 倒排索引（一次构建，多次查询）
+ */
+export class BM25Index {
+  constructor(documents, { k1 = 1.2, b = 0.75 } = {}) {
+    this.documents = documents;
+    this.k1 = k1;
+    this.b = b;
+    this.termFreqs = [];
+    this.docLengths = [];
+    this.docFreq = new Map();
+
+    documents.forEach((doc) => {
+      const tf = new Map();
+      const tokens = tokenize(doc.pageContent);
+      tokens.forEach((t) => tf.set(t, (tf.get(t) ?? 0) + 1));
+      tf.forEach((_, t) => this.docFreq.set(t, (this.docFreq.get(t) ?? 0) + 1));
+      this.termFreqs.push(tf);
+      this.docLengths.push(tokens.length);
+    });
+
+    const total = this.docLengths.reduce((a, n) => a + n, 0);
+    this.avgDocLength = documents.length > 0 ? total / documents.length : 0;
+  }
+
+  idf(term) {
+    const n = this.documents.length;
+    const df = this.docFreq.get(term) ?? 0;
+    return Math.log((n - df + 0.5) / (df + 0.5) + 1);
+  }
+
+  /**
+   * 返回 [{ document, score }]，按得分降序，只包含得分 > 0 且满足 predicate 的文档
+   */
+  search(query, k, predicate) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.documents.length === 0) return [];
+
+    const scored = [];
+    this.termFreqs.forEach((tf, i) => {
+      if (predicate && !predicate(this.documents[i])) return;
+      const lengthNorm = 1 - this.b + (this.b * this.docLengths[i]) / (this.avgDocLength || 1);
+      let score = 0;
+      terms.forEach((term) => {
+        const f = tf.get(term);
+        if (!f) return;
+        score += (this.idf(term) * f * (this.k1 + 1)) / (f + this.k1 * lengthNorm);
+      });
+      if (score > 0) scored.push({ document: this.documents[i], score });
+    });
+
+    return scored.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+}
+
+/**
+ * 把 BM25Index 包装成 LangChain Retriever
+ */
+export class KeywordRetriever extends BaseRetriever {
+  static lc_name() {
+    return "KeywordRetriever";
+  }
+
+  lc_namespace = ["rag", "retrievers", "keyword"];
+
+  constructor({ index, k = 4, filter, ...rest }) {
+    super(rest);
+    this.index = index;
+    this.k = k;
+    this.filter = filter;
+  }
+
+  async _getRelevantDocuments(query) {
+    return this.index.search(query, this.k, this.filter).map(({ document }) => document);
+  }
+}
+
+/**
+ * 词汇重叠打分：问题中的 token 有多少比例出现在片段中，范围 [0, 1]
+ */
+function createLexicalScorer() {
+  return async (query, documents) => {
+    const queryTokens = [...new Set(tokenize(query))];
+    return documents.map((doc) => {
+      if (queryTokens.length === 0) return 0;
+      const docTokens = new Set(tokenize(doc.pageContent));
+      return queryTokens.filter((t) => docTokens.has(t)).length / queryTokens.length;
+    });
+  };
+}
+
+/**
+ * LLM 打分：让 Ollama 模型逐个判断片段与问题的相关性（0-10），归一化到 [0, 1]
+ */
+function createLlmScorer(options = {}) {
+  const model = createChatModel({
+    chatModel: options.model || undefined,
+    temperature: 0,
+  });
+
+  return async (query, documents) => {
+    const scores = [];
+    // 逐个打分：本地 Ollama 本身串行处理请求，并发只会互相排队
+    for (const doc of documents) {
+      const res = await model.invoke([
+        [
+          "system",
+          "你是检索结果相关性评估器。根据问题判断片段是否包含回答所需的信息，只输出 0 到 10 之间的一个整数，不要输出其他内容。",
+        ],
+        ["human", `问题：${query}\n\n片段：\n${doc.pageContent}\n\n相关性分数（0-10）：`],
+      ]);
+      const match = stripThink(res?.content).match(/\d+(?:\.\d+)?/);
+      const score = match ? Number(match[0]) : 0;
+      scores.push(Math.max(0, Math.min(10, score)) / 10);
+    }
+    return scores;
+  };
+}
+
+/**
+ * 重排检索器：对底层检索器的候选重新打分，丢弃低于阈值的候选，保留前 k 个
+ */
+export class RerankRetriever extends BaseRetriever {
+  static lc_name() {
+    return "RerankRetriever";
+  }
+
+  lc_namespace = ["rag", "retrievers", "rerank"];
+
+  constructor({ baseRetriever, scorer, k = 4, minScore = 0, ...rest }) {
+    super(rest);
+    this.baseRetriever = baseRetriever;
+    this.scorer = scorer;
+    this.k = k;
+    this.minScore = minScore;
+  }
+
+  async _getRelevantDocuments(query, runManager) {
+    const candidates = await this.baseRetriever.invoke(query, { callbacks: runManager?.getChild("rerank_base") });
+    if (candidates.length === 0) return [];
+
+    const scores = await this.scorer(query, candidates);
+    return candidates
+      .map((doc, i) => ({ doc, score: scores[i] ?? 0 }))
+      .filter(({ score }) => score >= this.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.k)
+      .map(
+        ({ doc, score }) =>
+          new Document({ pageContent: doc.pageContent, metadata: { ...doc.metadata, rerankScore: score }, id: doc.id })
+      );
+  }
+}
+
+/**
+ * 按 config.retrieval 创建检索器
+ *
+ * hybrid.enabled 为 false 时只用向量检索；否则两路各取自己的 topK，
+ * 按权重做 RRF 融合后截取 candidateK 个。
+ * rerank.enabled 为 true 时 candidateK = rerank.fetchK，重排后再截取最终的 retrieval.topK。
+ *
+ * 元数据过滤：调用时的 configurable.filter 优先，否则使用 options.filter（格式见 parseFilter）；
+ * 向量检索使用后端自己的过滤参数，BM25 用同样条件的谓词过滤。
+ */
+export async function createRetriever(vectorStore, options = {}) {
+  const topK = options.topK ?? config.retrieval.topK;
+  const rerank = { ...config.retrieval.rerank, ...options.rerank };
+  const hybrid = { ...config.retrieval.hybrid, ...options.hybrid };
+
+  let scorer = null;
+  let candidateK = topK;
+  if (rerank.enabled) {
+    const strategy = rerank.strategy ?? "lexical";
+    if (strategy !== "lexical" && strategy !== "llm") {
+      throw new Error(`不支持的 retrieval.rerank.strategy: "${strategy}"（可选：lexical / llm）`);
+    }
+    scorer = strategy === "llm" ? createLlmScorer(rerank) : createLexicalScorer();
+    candidateK = Math.max(Number(rerank.fetchK ?? topK), topK);
+  }
+
+  let index = null;
+  if (hybrid.enabled) {
+    const documents = await listDocuments(vectorStore);
+    index = new BM25Index(documents);
+    logger.info(`✅ BM25 索引已构建（${documents.length} 个块）`);
+  }
+
+  const build = (filter) => {
+    const candidates = createCandidateRetriever(vectorStore, candidateK, { hybrid, index, filter });
+    if (!scorer) return candidates;
+    return new RerankRetriever({
+      baseRetriever: candidates,
+      scorer,
+      k: topK,
+      minScore: Number(rerank.minScore ?? 0),
+    });
+  };
+
+  const defaultRetriever = build(parseFilter(options.filter));
+  return RunnableLambda.from((query, runConfig) => {
+    const filter = parseFilter(runConfig?.configurable?.filter);
+    return (filter ? build(filter) : defaultRetriever).invoke(query, runConfig);
+  });
+}
+
+/**
+ * 召回阶段：向量检索，或向量 + BM25 混合检索
+ */
+function createCandidateRetriever(vectorStore, topK, { hybrid, index, filter }) {
+  const vectorFilter = createVectorStoreFilter(vectorStore, filter);
+  if (!index) {
+    return vectorStore.asRetriever({ k: topK, filter: vectorFilter });
+  }
+
+  const ensemble = new EnsembleRetriever({
+    retrievers: [
+      vectorStore.asRetriever({ k: Number(hybrid.vectorTopK ?? topK), filter: vectorFilter }),
+      new KeywordRetriever({ index, k: Number(hybrid.keywordTopK ?? topK), filter: toPredicate(filter) }),
+    ],
+    weights: [Number(hybrid.vectorWeight ?? 0.5), Number(hybrid.keywordWeight ?? 0.5)],
+    c: Number(hybrid.rrfK ?? 60),
+  });
+
+  return ensemble.pipe(RunnableLambda.from((docs) => docs.slice(0, topK)));
+}
@@ -0,0 +1,465 @@
+/**
+ * HTTP API：把 RAG Graph 暴露给其他服务调用（JSON 路由）
+ *
+ * 运行：
+ * - npm run serve
+ *
+ * 路由：
+ * - POST   /api/ask               { question, threadId?, filter?, knowledgeBase?, agent? } -> { knowledgeBase, threadId, answer, cached, citations, context, trace, traceId }
+ *   filter 为 "source=.docs/x.pdf type=pdf" 形式的字符串，或 { source, folder, type, ... } 对象
+ *   agent 为 true / false 时本次使用 / 不使用 agent 模式（省略时按 agent.enabled），trace 为 agent 的步骤记录
+ * - POST   /api/ask/stream        同上，以 SSE 返回：token 事件逐个推送，agent 模式每完成一步推送 step 事件，done 事件携带完整结果
+ * - GET    /api/knowledge-bases   -> { knowledgeBases: [{ name, description, docsDir, store }] }
+ * - GET    /api/threads           -> { threads: [threadId] }
+ * - GET    /api/threads/:id       -> { threadId, knowledgeBase, schemaVersion, updatedAt, messages: [{ role, content }] }
+ * - DELETE /api/threads/:id       -> { threadId, deleted }
+ * - POST   /api/ingest            { mode?: "incremental" | "full" | "migrate", knowledgeBase? } -> 同步结果（含 skipped / failed 文件）
+ *   migrate 用当前 embedding 模型重新向量化已有 chunk 后再增量同步
+ * - GET    /api/collection        -> { store, rows }（同 CLI 的 show）
+ * - GET    /api/health            -> { ok, models: [{ role, provider, baseUrl, model, ok, modelFound, error }] }，模型服务不可用时为 503
+ *
+ * 启动后在后台增量同步默认知识库；问答只打开已有的向量库，不在请求中同步，其他知识库通过 POST /api/ingest 写入。
+ * 向量库尚不存在时问答返回 409（启动同步进行中时为 503）。
+ * 每个响应带 X-Trace-Id 头，ask 的结果中也有 traceId，用于在日志与 logging.traceFile 中查找该请求的追踪记录。
+ * knowledgeBase 省略时使用 config.knowledgeBase；GET / DELETE 路由通过 ?knowledgeBase= 指定。
+ * 向量库与当前 embedding 模型不兼容时返回 409：{ error, mismatches }，需要 ingest mode=migrate 或 full。
+ * 会话按知识库隔离：同一个 threadId 在不同知识库中是不同的会话。
+ */
+
+import "dotenv/config";
+import http from "node:http";
+
+import {
+  deleteVectorStore,
+  describeVectorStore,
+  loadVectorStore,
+  prepareVectorStore,
+  showVectorStore,
+  vectorStoreExists,
+} from "./buildVectorStore.js";
+import { deleteManifest, migrateVectorStore, syncVectorStore } from "./ingest.js";
+import { CollectionMismatchError, verifyCollectionMeta } from "./collectionMeta.js";
+import { ask, createRagGraph, deleteThread, getThread, listThreads, normalizeThreadId } from "./qa.js";
+import { threadToJson } from "./threads.js";
+import { getMemoryStore } from "./memoryStore.js";
+import { parseFilter } from "./filters.js";
+import { getKnowledgeBase, listKnowledgeBases } from "./knowledgeBases.js";
+import { checkModels } from "./models.js";
+import { config, validateConfig } from "./config.js";
+import { annotateTrace, logger, runWithTrace } from "./logger.js";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * 解析请求中的元数据过滤条件，格式错误返回 400
+ */
+function readFilter(body) {
+  try {
+    return parseFilter(body.filter);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+}
+
+/**
+ * 解析请求中的 agent 开关：省略时为 null（按配置），其他非布尔值返回 400
+ */
+function readAgentMode(body) {
+  if (body.agent === undefined || body.agent === null) return null;
+  if (typeof body.agent !== "boolean") {
+    throw new HttpError(400, "agent 必须为 true 或 false");
+  }
+  return body.agent;
+}
+
+/**
+ * 解析请求中的 threadId（省略时为 "default"），不合法返回 400
+ */
+function readThreadId(value) {
+  try {
+    return normalizeThreadId(value);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+}
+
+/**
+ * 解析请求指定的知识库（body.knowledgeBase 或 ?knowledgeBase=），不存在返回 404
+ */
+function readKnowledgeBase(name) {
+  try {
+    return getKnowledgeBase(name || config.knowledgeBase);
+  } catch (err) {
+    throw new HttpError(404, err.message);
+  }
+}
+
+function sendEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+  });
+  res.end(payload);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "请求体过大"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (chunks.length === 0) return resolve({});
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString("utf-8"));
+      } catch {
+        reject(new HttpError(400, "请求体不是合法的 JSON"));
+        return;
+      }
+      // 各路由按字段读取请求体，null、数组、字符串等合法 JSON 同样拒绝
+      if (!body || typeof body !== "object" || Array.isArray(body)) {
+        reject(new HttpError(400, "请求体必须是 JSON 对象"));
+        return;
+      }
+      resolve(body);
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * 检索到的上下文文档只保留正文与 metadata（含 source）
+ */
+function serializeContext(context) {
+  return (Array.isArray(context) ? context : []).map((doc) => ({
+    pageContent: doc?.pageContent ?? "",
+    metadata: doc?.metadata ?? {},
+    source: doc?.metadata?.source ?? null,
+  }));
+}
+
+function createServer() {
+  // 每个知识库的 RAG Graph 在首次请求时用已有的向量库构建，同步之后重建
+  const ragAppPromises = new Map();
+  // 每个知识库的同步（启动时的 sync 与 ingest）串行执行，避免并发写入 manifest / 断点并重复插入
+  const syncQueues = new Map();
+  // ingest 期间拒绝同一知识库再次 ingest
+  const ingesting = new Set();
+
+  const withSyncLock = (name, fn) => {
+    const run = (syncQueues.get(name) ?? Promise.resolve()).then(fn);
+    const queued = run.catch(() => undefined);
+    syncQueues.set(name, queued);
+    queued.then(() => {
+      if (syncQueues.get(name) === queued) syncQueues.delete(name);
+    });
+    return run;
+  };
+
+  // 构建失败时移出缓存，下次请求重新构建
+  const setRagApp = (name, promise) => {
+    const cached = promise.catch((err) => {
+      if (ragAppPromises.get(name) === cached) ragAppPromises.delete(name);
+      throw err;
+    });
+    ragAppPromises.set(name, cached);
+    return cached;
+  };
+
+  // 问答只打开已有的向量库：同步可能要重新向量化大量文档，不放在请求里执行
+  const openVectorStore = async (kb) => {
+    const vectorStore = await loadVectorStore(kb);
+    if (!(await vectorStoreExists(vectorStore))) {
+      if (syncQueues.has(kb.knowledgeBase)) {
+        throw new HttpError(503, `知识库 "${kb.knowledgeBase}" 正在同步，请稍后重试`);
+      }
+      throw new HttpError(409, `向量库 "${describeVectorStore(kb)}" 不存在，请先 POST /api/ingest`);
+    }
+    await verifyCollectionMeta(vectorStore, kb);
+    await prepareVectorStore(vectorStore);
+    return vectorStore;
+  };
+
+  const getRagApp = (kb) => {
+    const name = kb.knowledgeBase;
+    if (!ragAppPromises.has(name)) {
+      setRagApp(name, openVectorStore(kb).then((vectorStore) => createRagGraph(name, { vectorStore })));
+    }
+    return ragAppPromises.get(name);
+  };
+
+  // 启动时在后台增量同步默认知识库，完成后重建 Graph；期间的问答使用同步前已有的向量库
+  const syncOnStart = () => {
+    const kb = getKnowledgeBase();
+    const name = kb.knowledgeBase;
+    ingesting.add(name);
+    withSyncLock(name, () => syncVectorStore(kb))
+      .then((res) => {
+        logger.info(
+          `✅ 知识库 "${name}" 启动同步完成：新增 ${res.added.length}，修改 ${res.modified.length}，删除 ${res.deleted.length}`
+        );
+        return setRagApp(name, createRagGraph(name, { vectorStore: res.vectorStore }));
+      })
+      .catch((err) => {
+        logger.error(`❌ 知识库 "${name}" 启动同步失败: ${err?.message ?? err}`, { error: err });
+      })
+      .finally(() => {
+        ingesting.delete(name);
+      });
+  };
+
+  const handlers = {
+    "POST /api/ask": async (req) => {
+      const body = await readJsonBody(req);
+      const question = typeof body.question === "string" ? body.question.trim() : "";
+      if (!question) {
+        throw new HttpError(400, "question 不能为空");
+      }
+      const threadId = readThreadId(body.threadId);
+      const filter = readFilter(body);
+      const agent = readAgentMode(body);
+      const kb = readKnowledgeBase(body.knowledgeBase);
+      const ragApp = await getRagApp(kb);
+      const res = await ask(ragApp, { threadId, messages: [] }, question, { filter, agent });
+      return {
+        knowledgeBase: kb.knowledgeBase,
+        threadId,
+        answer: res.answer,
+        cached: res.cached,
+        citations: res.citations,
+        context: serializeContext(res.context),
+        trace: res.trace,
+        traceId: res.traceId,
+      };
+    },
+
+    "POST /api/ask/stream": async (req, params, res) => {
+      const body = await readJsonBody(req);
+      const question = typeof body.question === "string" ? body.question.trim() : "";
+      if (!question) {
+        throw new HttpError(400, "question 不能为空");
+      }
+      const threadId = readThreadId(body.threadId);
+      const filter = readFilter(body);
+      const agent = readAgentMode(body);
+      const kb = readKnowledgeBase(body.knowledgeBase);
+      const ragApp = await getRagApp(kb);
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      const result = await ask(ragApp, { threadId, messages: [] }, question, {
+        filter,
+        agent,
+        onToken: (token) => sendEvent(res, "token", { token }),
+        onAgentStep: (step) => sendEvent(res, "step", step),
+      });
+      sendEvent(res, "done", {
+        knowledgeBase: kb.knowledgeBase,
+        threadId,
+        answer: result.answer,
+        cached: result.cached,
+        citations: result.citations,
+        context: serializeContext(result.context),
+        trace: result.trace,
+        traceId: result.traceId,
+      });
+      res.end();
+    },
+
+    "GET /api/knowledge-bases": async () => ({
+      knowledgeBases: listKnowledgeBases().map((kb) => ({
+        name: kb.knowledgeBase,
+        description: kb.description,
+        docsDir: kb.docsDir,
+        store: describeVectorStore(kb),
+      })),
+    }),
+
+    "GET /api/threads": async (req, params, res, query) => {
+      const kb = readKnowledgeBase(query.get("knowledgeBase"));
+      return { knowledgeBase: kb.knowledgeBase, threads: await listThreads(kb.knowledgeBase) };
+    },
+
+    "GET /api/threads/:id": async (req, params, res, query) => {
+      const kb = readKnowledgeBase(query.get("knowledgeBase"));
+      const thread = await getThread(readThreadId(params.id), kb.knowledgeBase);
+      if (!thread) {
+        throw new HttpError(404, `会话 "${params.id}" 不存在`);
+      }
+      return threadToJson(thread);
+    },
+
+    "DELETE /api/threads/:id": async (req, params, res, query) => {
+      const kb = readKnowledgeBase(query.get("knowledgeBase"));
+      const threadId = readThreadId(params.id);
+      return {
+        knowledgeBase: kb.knowledgeBase,
+        threadId,
+        deleted: await deleteThread(threadId, kb.knowledgeBase),
+      };
+    },
+
+    "POST /api/ingest": async (req) => {
+      const body = await readJsonBody(req);
+      const mode = body.mode ?? "incremental";
+      if (!["incremental", "full", "migrate"].includes(mode)) {
+        throw new HttpError(400, `未知的 mode: ${mode}`);
+      }
+      const kb = readKnowledgeBase(body.knowledgeBase);
+      if (ingesting.has(kb.knowledgeBase)) {
+        throw new HttpError(409, "已有 ingest 任务在执行");
+      }
+
+      ingesting.add(kb.knowledgeBase);
+      try {
+        const res = await withSyncLock(kb.knowledgeBase, async () => {
+          if (mode === "full") {
+            await deleteVectorStore(kb).catch(() => undefined);
+            await deleteManifest(kb);
+          }
+          if (mode === "migrate") {
+            await migrateVectorStore(kb);
+          }
+          return syncVectorStore(kb);
+        });
+        await setRagApp(kb.knowledgeBase, createRagGraph(kb.knowledgeBase, { vectorStore: res.vectorStore }));
+        return {
+          knowledgeBase: kb.knowledgeBase,
+          mode,
+          added: res.added,
+          modified: res.modified,
+          deleted: res.deleted,
+          unchanged: res.unchanged,
+          chunks: res.chunks,
+          skipped: res.skipped,
+          failed: res.failed,
+        };
+      } finally {
+        ingesting.delete(kb.knowledgeBase);
+      }
+    },
+
+    "GET /api/health": async (req, params, res) => {
+      const models = await checkModels();
+      const ok = models.every((m) => m.ok);
+      sendJson(res, ok ? 200 : 503, { ok, models });
+    },
+
+    "GET /api/collection": async (req, params, res, query) => {
+      const kb = readKnowledgeBase(query.get("knowledgeBase"));
+      return {
+        knowledgeBase: kb.knowledgeBase,
+        store: describeVectorStore(kb),
+        rows: await showVectorStore(kb),
+      };
+    },
+  };
+
+  const routes = Object.entries(handlers).map(([key, handler]) => {
+    const [method, pattern] = key.split(" ");
+    const names = [];
+    const regex = new RegExp(
+      `^${pattern.replace(/:(\w+)/g, (_, name) => {
+        names.push(name);
+        return "([^/]+)";
+      })}$`
+    );
+    return { method, pattern, regex, names, handler };
+  });
+
+  const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url ?? "/", "http://localhost");
+    const pathMatched = routes.filter((r) => r.regex.test(pathname));
+    const route = pathMatched.find((r) => r.method === req.method);
+
+    if (!route) {
+      const status = pathMatched.length > 0 ? 405 : 404;
+      sendJson(res, status, { error: status === 405 ? "Method Not Allowed" : "Not Found" });
+      return;
+    }
+
+    const match = pathname.match(route.regex);
+    let params;
+    try {
+      params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+    } catch {
+      // 非法的 % 转义（如 /api/threads/%E0%A4%A）
+      sendJson(res, 400, { error: "路径参数不是合法的 URL 编码" });
+      return;
+    }
+
+    // 每个请求一个追踪上下文：响应头 X-Trace-Id 与日志、logging.traceFile 中的 traceId 对应
+    void runWithTrace(`${route.method} ${route.pattern}`, { path: pathname }, (trace) => {
+      res.setHeader("X-Trace-Id", trace.traceId);
+      return Promise.resolve()
+        .then(() => route.handler(req, params, res, searchParams))
+        .then((body) => {
+          // SSE 路由自行写响应，这里只处理 JSON 路由
+          if (!res.headersSent) sendJson(res, 200, body);
+          annotateTrace({ statusCode: 200 });
+        })
+        .catch((err) => {
+          const mismatch = err instanceof CollectionMismatchError;
+          const status = err instanceof HttpError ? err.status : mismatch ? 409 : 500;
+          annotateTrace({ statusCode: status, error: err?.message ?? String(err) });
+          if (status === 500) {
+            logger.error(`❌ ${req.method} ${pathname} 失败: ${err?.message ?? err}`, { error: err });
+          }
+          if (res.headersSent) {
+            sendEvent(res, "error", { error: err?.message ?? String(err) });
+            res.end();
+            return;
+          }
+          sendJson(res, status, {
+            error: err?.message ?? String(err),
+            ...(mismatch ? { mismatches: err.mismatches } : {}),
+          });
+        });
+    });
+  });
+  server.once("listening", syncOnStart);
+  return server;
+}
+
+function main() {
+  try {
+    validateConfig();
+  } catch (err) {
+    logger.error(`❌ ${err?.message ?? err}`);
+    process.exit(1);
+  }
+  const { host, port } = config.server;
+  createServer().listen(port, host, () => {
+    logger.info(`✅ RAG HTTP API 已启动: http://${host}:${port}`);
+    // 提前连接会话记忆存储，启动日志中即可看到所用后端（Redis 不可用时的回退）
+    getMemoryStore().catch((err) => {
+      logger.warn(`⚠️ 会话记忆不可用（${err?.message ?? err}），对话不会保存历史`);
+    });
+  });
+}
+
+void main();
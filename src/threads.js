@@ -0,0 +1,116 @@
+/**
+ * 会话管理：列出 / 查看 / 导出会话存储中的会话（CLI 的 /threads、/history、/export 使用）
+ *
+ * 会话读写与 key 规则见 qa.js（getThread / listThreads / deleteThread）。
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { AIMessage, HumanMessage, SystemMessage } from "@langchain/core/messages";
+import { getThread, isSummaryMessage, listThreads } from "./qa.js";
+import { DEFAULT_KNOWLEDGE_BASE } from "./knowledgeBases.js";
+import { stripThink } from "./models.js";
+import { config } from "./config.js";
+
+export const EXPORT_FORMATS = ["md", "json"];
+
+export const ROLE_LABELS = { user: "用户", assistant: "助手", system: "系统", summary: "摘要" };
+
+/**
+ * 生成新的 threadId（如 t-lq2x8k-3f9a）
+ */
+export function newThreadId() {
+  return `t-${Date.now().toString(36)}-${crypto.randomBytes(2).toString("hex")}`;
+}
+
+/**
+ * 消息角色：user / assistant / system / summary（历史压缩后的摘要）
+ */
+export function messageRole(message) {
+  if (isSummaryMessage(message)) return "summary";
+  if (HumanMessage.isInstance(message)) return "user";
+  if (AIMessage.isInstance(message)) return "assistant";
+  if (SystemMessage.isInstance(message)) return "system";
+  return message?.getType?.() ?? "unknown";
+}
+
+export function messageText(message) {
+  const content = typeof message?.content === "string" ? message.content : JSON.stringify(message?.content ?? "");
+  return AIMessage.isInstance(message) ? stripThink(content) : content;
+}
+
+/**
+ * 列出某个知识库的会话及概要（按最近更新时间倒序）
+ * @returns {Promise<{threadId, updatedAt, messageCount, preview}[]>}
+ */
+export async function listThreadSummaries(knowledgeBase = DEFAULT_KNOWLEDGE_BASE) {
+  const threadIds = await listThreads(knowledgeBase);
+  const summaries = [];
+  for (const threadId of threadIds) {
+    const thread = await getThread(threadId, knowledgeBase);
+    if (!thread) continue;
+    const firstQuestion = thread.messages.find((m) => messageRole(m) === "user");
+    summaries.push({
+      threadId,
+      updatedAt: thread.updatedAt,
+      messageCount: thread.messages.length,
+      preview: firstQuestion ? messageText(firstQuestion).replace(/\s+/g, " ").slice(0, 40) : "",
+    });
+  }
+  return summaries.sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0));
+}
+
+export function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : "-";
+}
+
+export function threadToJson(thread) {
+  return {
+    threadId: thread.threadId,
+    knowledgeBase: thread.knowledgeBase,
+    schemaVersion: thread.schemaVersion,
+    updatedAt: thread.updatedAt,
+    exportedAt: Date.now(),
+    messages: thread.messages.map((m) => ({ role: messageRole(m), content: messageText(m) })),
+  };
+}
+
+export function threadToMarkdown(thread) {
+  const lines = [
+    `# 会话 ${thread.threadId}`,
+    "",
+    `- 知识库：${thread.knowledgeBase}`,
+    `- 更新时间：${formatTime(thread.updatedAt)}`,
+    `- 消息数：${thread.messages.length}`,
+    "",
+  ];
+  thread.messages.forEach((m) => {
+    lines.push(`## ${ROLE_LABELS[messageRole(m)] ?? messageRole(m)}`, "", messageText(m).trim(), "");
+  });
+  return lines.join("\n");
+}
+
+/**
+ * 把会话导出为 Markdown 或 JSON 文件，写入 conversation.exportDir
+ * @returns {Promise<string>} 导出文件路径
+ */
+export async function exportThread(threadId, format = "md", options = {}) {
+  const knowledgeBase = options.knowledgeBase ?? DEFAULT_KNOWLEDGE_BASE;
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`不支持的导出格式 "${format}"（可选：${EXPORT_FORMATS.join(" / ")}）`);
+  }
+  const thread = await getThread(threadId, knowledgeBase);
+  if (!thread) {
+    throw new Error(`会话 "${threadId}" 不存在（知识库：${knowledgeBase}）`);
+  }
+
+  const outputDir = path.resolve(process.cwd(), options.outputDir ?? config.conversation.exportDir);
+  await fs.mkdir(outputDir, { recursive: true });
+  const fileName = `${knowledgeBase}-${String(threadId).replace(/[^\w.-]+/g, "_")}.${format}`;
+  const filePath = path.join(outputDir, fileName);
+  const content = format === "json" ? JSON.stringify(threadToJson(thread), null, 2) : threadToMarkdown(thread);
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
@@ -0,0 +1,200 @@
+/**
+ * HNSWLib 后端（本地索引，持久化到 vectorStore.persistDir）
+ *
+ * - 主键为 hnswlib 的 label（docstore 中的 key）
+ * - 删除使用 markDelete，label 不会被复用
+ * - 写入只修改内存中的索引，flush 时 save（分批写入时按 ingest.flushEvery 间隔调用）；删除后立即 save
+ * - 元数据（见 collectionMeta.js）保存在同目录的 collection.json
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { Document } from "@langchain/core/documents";
+import { HNSWLib } from "@langchain/community/vectorstores/hnswlib";
+import { config } from "../config.js";
+import { toPredicate } from "../filters.js";
+import { logger, span } from "../logger.js";
+
+const META_FILE = "collection.json";
+const INDEX_FILES = ["hnswlib.index", "docstore.json", "args.json", META_FILE];
+
+function resolvePersistDir(options = {}) {
+  return path.resolve(process.cwd(), options.persistDir ?? config.vectorStore.persistDir);
+}
+
+function fileExists(filePath) {
+  return fs
+    .access(filePath)
+    .then(() => true)
+    .catch(() => false);
+}
+
+/**
+ * 索引还在旧目录（options.legacyPersistDir）时整体移动到 persistDir
+ */
+async function moveLegacyIndex(persistDir, legacyPersistDir) {
+  if (!legacyPersistDir) return;
+  const legacyDir = path.resolve(process.cwd(), legacyPersistDir);
+  if (!(await fileExists(path.join(legacyDir, "hnswlib.index")))) return;
+  if (await fileExists(path.join(persistDir, "hnswlib.index"))) return;
+  await fs.rm(persistDir, { recursive: true, force: true });
+  await fs.mkdir(path.dirname(persistDir), { recursive: true });
+  await fs.rename(legacyDir, persistDir);
+  logger.info(`📦 已将 HNSWLib 索引从 ${legacyDir} 移动到 ${persistDir}`);
+}
+
+function currentCount(vectorStore) {
+  return vectorStore._index ? vectorStore.index.getCurrentCount() : 0;
+}
+
+function save(vectorStore) {
+  return span("hnswlib.save", () => vectorStore.save(vectorStore.persistDir));
+}
+
+export const hnswlibBackend = {
+  type: "hnswlib",
+
+  describe(options = {}) {
+    return `hnswlib:${resolvePersistDir(options)}`;
+  },
+
+  async load(embeddings, options = {}) {
+    const persistDir = resolvePersistDir(options);
+    await moveLegacyIndex(persistDir, options.legacyPersistDir);
+    const vectorStore = (await fileExists(path.join(persistDir, "hnswlib.index")))
+      ? await span("hnswlib.load", () => HNSWLib.load(persistDir, embeddings))
+      : new HNSWLib(embeddings, { space: "cosine" });
+    vectorStore.persistDir = persistDir;
+    return vectorStore;
+  },
+
+  exists(vectorStore) {
+    return Promise.resolve(currentCount(vectorStore) > 0);
+  },
+
+  prepare() {
+    return Promise.resolve();
+  },
+
+  async addDocuments(vectorStore, documents, vectors) {
+    if (!documents || documents.length === 0) return [];
+    const start = currentCount(vectorStore);
+    await span(
+      "hnswlib.addDocuments",
+      () => (vectors ? vectorStore.addVectors(vectors, documents) : vectorStore.addDocuments(documents)),
+      { n: documents.length }
+    );
+    return documents.map((_, i) => String(start + i));
+  },
+
+  flush(vectorStore) {
+    return vectorStore._index ? save(vectorStore) : Promise.resolve();
+  },
+
+  async readMeta(vectorStore) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(vectorStore.persistDir, META_FILE), "utf-8"));
+    } catch (err) {
+      if (err?.code === "ENOENT") return null;
+      throw err;
+    }
+  },
+
+  async writeMeta(vectorStore, meta) {
+    await fs.mkdir(vectorStore.persistDir, { recursive: true });
+    await fs.writeFile(path.join(vectorStore.persistDir, META_FILE), JSON.stringify(meta, null, 2));
+  },
+
+  dimension(vectorStore) {
+    return Promise.resolve(vectorStore._index ? vectorStore.index.getNumDimensions() : null);
+  },
+
+  /**
+   * 已删除的向量只做标记（markDelete），maxElements 为索引当前容量
+   */
+  describeIndex(vectorStore) {
+    return Promise.resolve({
+      type: "HNSW",
+      metric: vectorStore.args?.space ?? "cosine",
+      params: vectorStore._index
+        ? { maxElements: vectorStore.index.getMaxElements(), ef: vectorStore.index.getEf() }
+        : {},
+    });
+  },
+
+  async deleteByIds(vectorStore, ids) {
+    if (!ids || ids.length === 0 || !vectorStore._index) return;
+    ids.forEach((id) => {
+      try {
+        vectorStore.index.markDelete(Number(id));
+      } catch {
+        // 已删除或不存在的 label 直接忽略
+      }
+      vectorStore.docstore._docs.delete(String(id));
+    });
+    await save(vectorStore);
+  },
+
+  findIdsBySource(vectorStore, source) {
+    const ids = [];
+    for (const [id, doc] of vectorStore.docstore._docs.entries()) {
+      if (doc?.metadata?.source === source) ids.push(String(id));
+    }
+    return Promise.resolve(ids);
+  },
+
+  /**
+   * 过滤条件翻译为 Document 谓词
+   */
+  createFilter(filter) {
+    return toPredicate(filter);
+  },
+
+  async drop(vectorStore) {
+    await Promise.all(INDEX_FILES.map((name) => fs.rm(path.join(vectorStore.persistDir, name), { force: true })));
+  },
+
+  /**
+   * 迁移时先写入的临时目录（见 ingest.js migrateVectorStore）
+   */
+  stagingOptions(options = {}) {
+    const { legacyPersistDir, ...rest } = options;
+    return { ...rest, persistDir: `${resolvePersistDir(options)}.migrating` };
+  },
+
+  /**
+   * 用临时目录中的索引替换目标目录中的索引：逐个移动索引文件（目标目录中的其他内容不受影响），再删除临时目录
+   */
+  async promote(staging, options = {}) {
+    const persistDir = resolvePersistDir(options);
+    await fs.mkdir(persistDir, { recursive: true });
+    for (const name of INDEX_FILES) {
+      const from = path.join(staging.persistDir, name);
+      const to = path.join(persistDir, name);
+      if (await fileExists(from)) {
+        await fs.rename(from, to);
+      } else {
+        await fs.rm(to, { force: true });
+      }
+    }
+    await fs.rm(staging.persistDir, { recursive: true, force: true });
+  },
+
+  listDocuments(vectorStore) {
+    return Promise.resolve(
+      Array.from(vectorStore.docstore._docs.entries()).map(
+        ([id, doc]) => new Document({ pageContent: doc.pageContent, metadata: { ...doc.metadata, pk: id } })
+      )
+    );
+  },
+
+  show(vectorStore, options = {}) {
+    const rows = [];
+    for (const [id, doc] of vectorStore.docstore._docs.entries()) {
+      if (rows.length >= (options.limit ?? 5)) break;
+      rows.push({ pk: id, text: doc.pageContent, ...doc.metadata });
+    }
+    return Promise.resolve(rows);
+  },
+};
@@ -0,0 +1,144 @@
+/**
+ * 内存后端（MemoryVectorStore，不持久化）
+ *
+ * 适合没有 Milvus 的开发环境与临时测试：同一 collectionName（知识库）在进程内共享一个实例，重启后需重新构建。
+ */
+
+import crypto from "node:crypto";
+
+import { Document } from "@langchain/core/documents";
+import { MemoryVectorStore } from "@langchain/classic/vectorstores/memory";
+import { config } from "../config.js";
+import { toPredicate } from "../filters.js";
+import { span } from "../logger.js";
+
+// 进程内单例：同一进程多次 load 同一个 collectionName 拿到同一份数据
+const sharedStores = new Map();
+
+function storeName(options = {}) {
+  return options.collectionName ?? config.milvus.collectionName;
+}
+
+export const memoryBackend = {
+  type: "memory",
+
+  describe(options = {}) {
+    return `memory:${storeName(options)}`;
+  },
+
+  load(embeddings, options = {}) {
+    const name = storeName(options);
+    if (!sharedStores.has(name)) {
+      sharedStores.set(name, new MemoryVectorStore(embeddings));
+    }
+    const store = sharedStores.get(name);
+    // 沿用已有数据，但 embedding 按本次配置（换模型后 migrate 需要用新模型）
+    store.embeddings = embeddings;
+    return Promise.resolve(store);
+  },
+
+  exists(vectorStore) {
+    return Promise.resolve(vectorStore.memoryVectors.length > 0);
+  },
+
+  prepare() {
+    return Promise.resolve();
+  },
+
+  async addDocuments(vectorStore, documents, vectors) {
+    if (!documents || documents.length === 0) return [];
+    const withIds = documents.map(
+      (doc) => new Document({ pageContent: doc.pageContent, metadata: doc.metadata, id: crypto.randomUUID() })
+    );
+    await span(
+      "memory.addDocuments",
+      () => (vectors ? vectorStore.addVectors(vectors, withIds) : vectorStore.addDocuments(withIds)),
+      { n: documents.length }
+    );
+    return withIds.map((doc) => doc.id);
+  },
+
+  flush() {
+    return Promise.resolve();
+  },
+
+  /**
+   * 元数据（见 collectionMeta.js）直接挂在共享实例上
+   */
+  readMeta(vectorStore) {
+    return Promise.resolve(vectorStore.collectionMeta ?? null);
+  },
+
+  writeMeta(vectorStore, meta) {
+    vectorStore.collectionMeta = meta;
+    return Promise.resolve();
+  },
+
+  dimension(vectorStore) {
+    return Promise.resolve(vectorStore.memoryVectors[0]?.embedding.length ?? null);
+  },
+
+  /**
+   * 不建索引，检索时逐条计算余弦相似度
+   */
+  describeIndex() {
+    return Promise.resolve({ type: "FLAT", metric: "cosine", params: {} });
+  },
+
+  deleteByIds(vectorStore, ids) {
+    const toDelete = new Set(ids ?? []);
+    vectorStore.memoryVectors = vectorStore.memoryVectors.filter((v) => !toDelete.has(v.id));
+    return Promise.resolve();
+  },
+
+  findIdsBySource(vectorStore, source) {
+    return Promise.resolve(
+      vectorStore.memoryVectors.filter((v) => v.metadata?.source === source).map((v) => v.id)
+    );
+  },
+
+  /**
+   * 过滤条件翻译为 Document 谓词
+   */
+  createFilter(filter) {
+    return toPredicate(filter);
+  },
+
+  drop(vectorStore) {
+    vectorStore.memoryVectors = [];
+    vectorStore.collectionMeta = null;
+    return Promise.resolve();
+  },
+
+  /**
+   * 迁移时先写入的临时实例（见 ingest.js migrateVectorStore）
+   */
+  stagingOptions(options = {}) {
+    return { ...options, collectionName: `${storeName(options)}_migrating` };
+  },
+
+  /**
+   * 用临时实例替换目标实例
+   */
+  promote(staging, options = {}) {
+    sharedStores.set(storeName(options), staging);
+    sharedStores.delete(storeName(memoryBackend.stagingOptions(options)));
+    return Promise.resolve();
+  },
+
+  listDocuments(vectorStore) {
+    return Promise.resolve(
+      vectorStore.memoryVectors.map(
+        (v) => new Document({ pageContent: v.content, metadata: { ...v.metadata, pk: v.id }, id: v.id })
+      )
+    );
+  },
+
+  show(vectorStore, options = {}) {
+    return Promise.resolve(
+      vectorStore.memoryVectors
+        .slice(0, options.limit ?? 5)
+        .map((v) => ({ pk: v.id, text: v.content, ...v.metadata }))
+    );
+  },
+};
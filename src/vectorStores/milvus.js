@@ -0,0 +1,545 @@
+/**
+ * Milvus 后端（docker-compose 中的 milvus-standalone）
+ *
+ * - 主键由 Milvus autoID 生成
+ * - collection schema 由首批文档的 metadata 推导（见 ensureCollection），之后不会再增加字段：
+ *   后续文档中新出现的 metadata 字段不写入，首次遇到时输出警告，需要 ingest --full 重建
+ * - 元数据（embedding 模型、维度、切分参数等，见 collectionMeta.js）保存在 collection 属性 rag.meta 中
+ */
+
+import { Document } from "@langchain/core/documents";
+import { Milvus } from "@langchain/community/vectorstores/milvus";
+import { DataType } from "@zilliz/milvus2-sdk-node";
+import { config } from "../config.js";
+import { logger, span } from "../logger.js";
+
+function normalizeMilvusAddress(raw) {
+  if (!raw) return raw;
+  if (typeof raw !== "string") return raw;
+  const trimmed = raw.trim();
+  try {
+    const u = new URL(trimmed);
+    if (u.hostname) {
+      const port = u.port || "19530";
+      return `${u.hostname}:${port}`;
+    }
+    return trimmed;
+  } catch {
+    return trimmed.replace(/^https?:\/\//i, "");
+  }
+}
+
+function parseJsonOr(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Milvus 表达式中的字符串字面量转义
+ */
+export function quoteExprString(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * like 模式中的字面量：转义通配符 % _ 与转义符本身（之后仍需 quoteExprString）
+ */
+function escapeLikePattern(value) {
+  return String(value).replace(/[\\%_]/g, "\\$&");
+}
+
+/**
+ * 本批 metadata 中 schema 没有的字段只警告一次（每个 collection）
+ */
+function warnUnknownFields(vectorStore, documents) {
+  const known = new Set(vectorStore.fields);
+  vectorStore.warnedFields ??= new Set();
+  const unknown = new Set();
+  documents.forEach((doc) => {
+    Object.entries(doc.metadata ?? {}).forEach(([key, value]) => {
+      if (value === null || value === undefined || known.has(key) || vectorStore.warnedFields.has(key)) return;
+      unknown.add(key);
+    });
+  });
+  if (unknown.size === 0) return;
+  unknown.forEach((key) => vectorStore.warnedFields.add(key));
+  logger.warn(
+    `⚠️ collection "${vectorStore.collectionName}" 的 schema 中没有 metadata 字段 ${[...unknown].join(", ")}，` +
+      "这些字段不会写入（schema 由首批文档推导）；需要时执行 ingest --full 重建",
+    { fields: [...unknown] }
+  );
+}
+
+/**
+ * 字段名 -> 数据类型（如 "VarChar" / "Float" / "Bool"）
+ */
+async function describeFieldTypes(vectorStore) {
+  const desc = await vectorStore.client.describeCollection({ collection_name: vectorStore.collectionName });
+  return Object.fromEntries((desc.schema?.fields ?? []).map((f) => [f.name, String(f.data_type)]));
+}
+
+const META_PROPERTY = "rag.meta";
+
+function missingFieldValue(dataType) {
+  if (dataType === "Bool") return false;
+  if (/^(Int|Float|Double)/.test(dataType ?? "")) return 0;
+  return "";
+}
+
+async function ensureCollection(vectorStore, documents, dim) {
+  const hasColResp = await span("milvus.hasCollection", () =>
+    vectorStore.client.hasCollection({
+      collection_name: vectorStore.collectionName,
+    })
+  );
+  if (hasColResp.status?.error_code && hasColResp.status.error_code !== "Success") {
+    throw new Error(`Error checking collection: ${JSON.stringify(hasColResp)}`);
+  }
+  if (hasColResp.value === true) {
+    return;
+  }
+
+  // 维度取自本批已经算好的向量，不再额外请求一次 embedding
+  if (!dim) {
+    throw new Error("Failed to determine embedding dimension.");
+  }
+
+  // 合并首批全部文档的 metadata，不同格式的文件字段不完全相同
+  const sampleMetadata = {};
+  documents.forEach((doc) => {
+    Object.entries(doc.metadata ?? {}).forEach(([key, value]) => {
+      if (sampleMetadata[key] === undefined || sampleMetadata[key] === null) sampleMetadata[key] = value;
+    });
+  });
+  const metadataFields = Object.entries(sampleMetadata)
+    .filter(([key]) => key !== vectorStore.primaryField && key !== vectorStore.partitionKey)
+    .map(([key, value]) => {
+      const t = typeof value;
+      if (t === "number") {
+        return {
+          name: key,
+          description: "Metadata Number field",
+          data_type: DataType.Float,
+        };
+      }
+      if (t === "boolean") {
+        return {
+          name: key,
+          description: "Metadata Boolean field",
+          data_type: DataType.Bool,
+        };
+      }
+      if (value === null || value === undefined) {
+        return null;
+      }
+      return {
+        name: key,
+        description: "Metadata String field",
+        data_type: DataType.VarChar,
+        type_params: {
+          max_length: "4096",
+        },
+      };
+    })
+    .filter(Boolean);
+
+  const fields = [
+    ...metadataFields,
+    {
+      name: vectorStore.primaryField,
+      description: "Primary key",
+      data_type: DataType.Int64,
+      is_primary_key: true,
+      autoID: true,
+    },
+    {
+      name: vectorStore.textField,
+      description: "Text field",
+      data_type: DataType.VarChar,
+      type_params: {
+        max_length: String(vectorStore.textFieldMaxLength || 65535),
+      },
+    },
+    {
+      name: vectorStore.vectorField,
+      description: "Vector field",
+      data_type: DataType.FloatVector,
+      type_params: {
+        dim: String(dim),
+      },
+    },
+  ];
+
+  const createRes = await span("milvus.createCollection", () =>
+    vectorStore.client.createCollection({
+      collection_name: vectorStore.collectionName,
+      fields,
+    })
+  );
+  if (createRes.error_code && createRes.error_code !== "Success") {
+    throw new Error(`Failed to create collection: ${JSON.stringify(createRes)}`);
+  }
+
+  await span("milvus.createIndex", () =>
+    vectorStore.client.createIndex({
+      collection_name: vectorStore.collectionName,
+      field_name: vectorStore.vectorField,
+      extra_params: {
+        index_type: "HNSW",
+        metric_type: "L2",
+        params: JSON.stringify({ M: 8, efConstruction: 64 }),
+      },
+    })
+  );
+
+  await span("milvus.loadCollectionSync", () =>
+    vectorStore.client.loadCollectionSync({
+      collection_name: vectorStore.collectionName,
+    })
+  );
+}
+
+export const milvusBackend = {
+  type: "milvus",
+
+  describe(options = {}) {
+    return `milvus:${options.collectionName ?? config.milvus.collectionName}`;
+  },
+
+  load(embeddings, options = {}) {
+    return Promise.resolve(
+      new Milvus(embeddings, {
+        collectionName: options.collectionName ?? config.milvus.collectionName,
+        partitionName:
+          options.partitionName ?? (config.milvus.partitionName ? config.milvus.partitionName : undefined),
+        url: normalizeMilvusAddress(options.url ?? config.milvus.url),
+        username: options.username ?? config.milvus.username,
+        password: options.password ?? config.milvus.password,
+        ssl: options.ssl ?? config.milvus.ssl,
+        textField: options.textField ?? "text",
+        vectorField: options.vectorField ?? "vector",
+        textFieldMaxLength: options.textFieldMaxLength ?? config.milvus.textFieldMaxLength,
+      })
+    );
+  },
+
+  /**
+   * 检查 Milvus collection 是否存在
+   */
+  exists(vectorStore) {
+    return vectorStore.client
+      .hasCollection({ collection_name: vectorStore.collectionName })
+      .then((res) => res.value === true)
+      .catch(() => false);
+  },
+
+  /**
+   * 查询前确保 collection 已 load 到内存
+   */
+  async prepare(vectorStore) {
+    await span("milvus.loadCollectionSync", () =>
+      vectorStore.client.loadCollectionSync({
+        collection_name: vectorStore.collectionName,
+      })
+    );
+    // createFilter 需要知道 schema 中有哪些字段
+    await vectorStore.grabCollectionFields();
+  },
+
+  /**
+   * 写入文档并返回 Milvus 分配的主键
+   *
+   * Milvus.addDocuments 不返回 autoID 生成的主键，增量同步需要记录它们，
+   * 因此这里按 addVectors 的方式自行组装行数据并调用 insert。
+   * 传入 precomputed 时直接使用（分批写入时 embedding 已经并发算好）。
+   */
+  async addDocuments(vectorStore, documents, precomputed) {
+    if (!documents || documents.length === 0) return [];
+
+    const vectors = precomputed ?? (await vectorStore.embeddings.embedDocuments(documents.map((d) => d.pageContent)));
+    await ensureCollection(vectorStore, documents, vectors[0]?.length ?? 0);
+    await vectorStore.grabCollectionFields();
+    warnUnknownFields(vectorStore, documents);
+    const fieldTypes = await describeFieldTypes(vectorStore);
+
+    const fieldsData = documents.map((doc, index) => {
+      const row = {};
+      vectorStore.fields.forEach((field) => {
+        if (field === vectorStore.primaryField) return;
+        if (field === vectorStore.textField) {
+          row[field] = doc.pageContent;
+        } else if (field === vectorStore.vectorField) {
+          row[field] = vectors[index];
+        } else if (doc.metadata[field] === undefined) {
+          // 不同格式的 metadata 字段不完全相同（如只有 PDF 有 loc），缺失的字段按类型补默认值
+          row[field] = missingFieldValue(fieldTypes[field]);
+        } else if (typeof doc.metadata[field] === "object") {
+          row[field] = JSON.stringify(doc.metadata[field]);
+        } else {
+          row[field] = doc.metadata[field];
+        }
+      });
+      return row;
+    });
+
+    const params = {
+      collection_name: vectorStore.collectionName,
+      fields_data: fieldsData,
+    };
+    if (vectorStore.partitionName !== undefined) {
+      await vectorStore.ensurePartition();
+      params.partition_name = vectorStore.partitionName;
+    }
+
+    const insertRes = await span("milvus.insert", () => vectorStore.client.insert(params), {
+      n: documents.length,
+    });
+    if (insertRes.status?.error_code && insertRes.status.error_code !== "Success") {
+      throw new Error(`Error inserting data: ${JSON.stringify(insertRes)}`);
+    }
+
+    const ids = insertRes.IDs?.int_id?.data ?? insertRes.IDs?.str_id?.data ?? [];
+    return ids.map(String);
+  },
+
+  /**
+   * 把已写入的数据落盘（flush 后生成 sealed segment）
+   */
+  async flush(vectorStore) {
+    const res = await span("milvus.flush", () =>
+      vectorStore.client.flushSync({ collection_names: [vectorStore.collectionName] })
+    );
+    if (res.status?.error_code && res.status.error_code !== "Success") {
+      throw new Error(`flush 失败: ${res.status.reason}`);
+    }
+  },
+
+  async readMeta(vectorStore) {
+    const desc = await vectorStore.client.describeCollection({ collection_name: vectorStore.collectionName });
+    const prop = (desc.properties ?? []).find((p) => p.key === META_PROPERTY);
+    const meta = prop ? parseJsonOr(prop.value) : null;
+    return meta && typeof meta === "object" ? meta : null;
+  },
+
+  async writeMeta(vectorStore, meta) {
+    const res = await vectorStore.client.alterCollectionProperties({
+      collection_name: vectorStore.collectionName,
+      properties: { [META_PROPERTY]: JSON.stringify(meta) },
+    });
+    if (res.error_code && res.error_code !== "Success") {
+      throw new Error(`Error writing collection properties: ${JSON.stringify(res)}`);
+    }
+  },
+
+  /**
+   * collection 中向量字段的维度
+   */
+  async dimension(vectorStore) {
+    const desc = await vectorStore.client.describeCollection({ collection_name: vectorStore.collectionName });
+    const field = (desc.schema?.fields ?? []).find((f) => f.name === vectorStore.vectorField);
+    const dim = field?.dim ?? field?.type_params?.find((p) => p.key === "dim")?.value;
+    return dim ? Number(dim) : null;
+  },
+
+  /**
+   * 向量字段的索引类型、距离度量与构建参数（见 ensureCollection 中的 createIndex）
+   */
+  async describeIndex(vectorStore) {
+    const res = await vectorStore.client.describeIndex({
+      collection_name: vectorStore.collectionName,
+      field_name: vectorStore.vectorField,
+    });
+    const desc = res.index_descriptions?.[0];
+    if (!desc) return null;
+    const params = Object.fromEntries((desc.params ?? []).map(({ key, value }) => [key, value]));
+    return {
+      type: params.index_type ?? null,
+      metric: params.metric_type ?? null,
+      params: params.params ? parseJsonOr(params.params) : {},
+    };
+  },
+
+  /**
+   * 按主键删除向量
+   */
+  async deleteByIds(vectorStore, ids) {
+    if (!ids || ids.length === 0) return;
+    const res = await span(
+      "milvus.delete",
+      () =>
+        vectorStore.client.delete({
+          collection_name: vectorStore.collectionName,
+          partition_name: vectorStore.partitionName,
+          ids,
+        }),
+      { n: ids.length }
+    );
+    if (res.status?.error_code && res.status.error_code !== "Success") {
+      throw new Error(`Error deleting data: ${JSON.stringify(res)}`);
+    }
+  },
+
+  /**
+   * 查询某个 source 对应的全部主键（用于旧 collection 补建 manifest、删除 source）
+   * 分批查询，不受单次 query 的行数上限（16384）限制
+   */
+  async findIdsBySource(vectorStore, source) {
+    const iterator = await vectorStore.client.queryIterator({
+      collection_name: vectorStore.collectionName,
+      expr: `source == ${quoteExprString(source)}`,
+      output_fields: [vectorStore.primaryField],
+      batchSize: 1000,
+    });
+    const ids = [];
+    for await (const batch of iterator) {
+      batch.forEach((row) => ids.push(String(row[vectorStore.primaryField])));
+    }
+    return ids;
+  },
+
+  /**
+   * 把 parseFilter 的条件翻译为 Milvus 布尔表达式（作为检索时的 expr）
+   * schema 中没有 ext 字段的旧 collection，type 条件退回按 source 后缀匹配（区分大小写）
+   */
+  createFilter(filter, vectorStore) {
+    if (!filter) return undefined;
+    const hasExt = !vectorStore?.fields?.length || vectorStore.fields.includes("ext");
+    return filter
+      .map((c) => {
+        const legacyExt = c.field === "ext" && !hasExt;
+        if (legacyExt && !vectorStore.warnedLegacyExt) {
+          vectorStore.warnedLegacyExt = true;
+          logger.warn(
+            `⚠️ collection "${vectorStore.collectionName}" 没有 ext 字段，type 过滤按 source 后缀匹配（区分大小写）；` +
+              "执行 ingest --full 重建后不区分大小写"
+          );
+        }
+        const parts = c.values.map((v) => {
+          if (c.op === "prefix") return `${c.field} like ${quoteExprString(`${escapeLikePattern(v)}%`)}`;
+          if (legacyExt) return `source like ${quoteExprString(`%${escapeLikePattern(v)}`)}`;
+          return `${c.field} == ${quoteExprString(v)}`;
+        });
+        return parts.length > 1 ? `(${parts.join(" or ")})` : parts[0];
+      })
+      .join(" and ");
+  },
+
+  /**
+   * 对 Milvus 来说，删除向量库=删除 collection
+   */
+  drop(vectorStore) {
+    // milvus2-sdk-node API：dropCollection({ collection_name })
+    return vectorStore.client
+      .dropCollection({ collection_name: vectorStore.collectionName })
+      .then(() => undefined)
+      .catch(() => undefined);
+  },
+
+  /**
+   * 迁移时先写入的临时 collection（见 ingest.js migrateVectorStore）
+   */
+  stagingOptions(options = {}) {
+    return { ...options, collectionName: `${options.collectionName ?? config.milvus.collectionName}_migrating` };
+  },
+
+  /**
+   * 用临时 collection 替换目标 collection：删除目标后把临时 collection 改名（元数据属性随之保留）
+   */
+  async promote(staging, options = {}) {
+    const target = options.collectionName ?? config.milvus.collectionName;
+    await staging.client.dropCollection({ collection_name: target }).catch(() => undefined);
+    const res = await staging.client.renameCollection({
+      collection_name: staging.collectionName,
+      new_collection_name: target,
+    });
+    if (res.error_code && res.error_code !== "Success") {
+      throw new Error(`重命名 collection 失败: ${res.reason}`);
+    }
+  },
+
+  /**
+   * 分批读出全部 chunk（BM25 等需要全量文本的场景）
+   */
+  async listDocuments(vectorStore) {
+    if (!(await milvusBackend.exists(vectorStore))) return [];
+    await vectorStore.grabCollectionFields();
+    const outputFields = [vectorStore.primaryField, ...vectorStore.fields].filter(
+      (field, i, all) => field !== vectorStore.vectorField && all.indexOf(field) === i
+    );
+    const iterator = await vectorStore.client.queryIterator({
+      collection_name: vectorStore.collectionName,
+      expr: "",
+      output_fields: outputFields,
+      batchSize: 1000,
+    });
+
+    const documents = [];
+    for await (const batch of iterator) {
+      batch.forEach((row) => {
+        const metadata = {};
+        Object.entries(row).forEach(([key, value]) => {
+          if (key === vectorStore.textField) return;
+          metadata[key] = typeof value === "string" && /^[[{]/.test(value) ? parseJsonOr(value) : value;
+        });
+        metadata.pk = String(row[vectorStore.primaryField]);
+        documents.push(new Document({ pageContent: row[vectorStore.textField] ?? "", metadata }));
+      });
+    }
+    return documents;
+  },
+
+  show(vectorStore, options = {}) {
+    const collectionName = vectorStore.collectionName;
+
+    return milvusBackend
+      .exists(vectorStore)
+      .then((exists) => {
+        if (!exists) {
+          throw new Error(`Milvus collection "${collectionName}" 不存在。`);
+        }
+
+        // 首先加载 collection 确保其可被查询
+        return vectorStore.client.loadCollectionSync({
+          collection_name: collectionName,
+        }).then(() => {
+          // 然后获取 collection 的 schema 来查找所有字段
+          return vectorStore.client.describeCollection({ collection_name: collectionName });
+        });
+      })
+      .then((desc) => {
+          if (desc.status && desc.status.error_code !== 'Success') {
+              throw new Error(`获取 collection 结构失败: ${desc.status.reason}`);
+          }
+          const schemaFields = desc.schema?.fields ?? [];
+          const primaryField =
+            schemaFields.find((f) => f.is_primary_key)?.name ?? vectorStore.primaryField;
+          const output_fields = schemaFields
+            .map((f) => f.name)
+            .filter((name) => name && name !== vectorStore.vectorField);
+          const final_output_fields =
+            output_fields.length > 0
+              ? output_fields
+              : [vectorStore.primaryField, vectorStore.textField, "source"].filter(Boolean);
+          const expr =
+            typeof primaryField === "string" && primaryField.length > 0
+              ? `${primaryField} >= 0`
+              : "pk >= 0";
+
+          return vectorStore.client.query({
+              collection_name: collectionName,
+              expr,
+              output_fields: final_output_fields,
+              limit: options.limit ?? 5,
+          });
+      })
+      .then((res) => {
+        if (res.status && res.status.error_code !== 'Success') {
+          throw new Error(`查询失败: ${res.status.reason}`);
+        }
+        return res.data;
+      });
+  },
+};